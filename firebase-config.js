@@ -189,14 +189,16 @@ class FirebaseStorageManager {
     this.settingsCollection = 'settings';
   }
 
-  // Save project to Firebase
+  // Save project to Firebase. The client always holds the whole project, so
+  // the document is replaced rather than merged; a merge would keep map keys
+  // the app has removed (reopened periods, cleared overrides, deleted scenarios).
   async saveProject(projectId, projectData) {
     try {
       await db.collection(this.projectsCollection).doc(projectId).set({
         ...projectData,
         lastModified: firebase.firestore.FieldValue.serverTimestamp(),
         modifiedBy: auth.currentUser?.uid || 'unknown'
-      }, { merge: true });
+      });
       
       console.log(`✅ Project saved: ${projectId}`);
       return { success: true };
@@ -338,12 +340,106 @@ service cloud.firestore {
       allow write: if request.auth != null && request.auth.uid == userId;
     }
     
-    // Projects collection - all authenticated users can read and write
+    // Projects collection - all authenticated users can read and write,
+    // except for scenarios listed in data.lockedScenarios and the actuals of
+    // months listed in data.closedPeriods. A closed month's transactions live
+    // only in data.closedLedger: the app ignores anything an unlocked scenario
+    // holds for that month, so readers must take closed months from the ledger.
     match /projects/{projectId} {
+      function isSuperAdmin() {
+        return get(/databases/$(database)/documents/users/$(request.auth.uid)).data.role == 'super_admin';
+      }
+
+      function isOwner() {
+        return resource.data.createdBy == request.auth.uid;
+      }
+
+      function oldLocks() {
+        return resource.data.data.get('lockedScenarios', []).toSet();
+      }
+
+      function newLocks() {
+        return request.resource.data.data.get('lockedScenarios', []).toSet();
+      }
+
+      // Scenarios being locked or unlocked in this write
+      function toggledLocks() {
+        return newLocks().difference(oldLocks()).union(oldLocks().difference(newLocks()));
+      }
+
+      // Projects saved before schema v4 have no lock list yet; any user may
+      // write the first one when the project is migrated
+      function locksInitialized() {
+        return 'lockedScenarios' in resource.data.data;
+      }
+
+      function changedScenarios() {
+        return request.resource.data.data.get('scenarios', {})
+          .diff(resource.data.data.get('scenarios', {})).affectedKeys();
+      }
+
+      function periodChanges() {
+        return request.resource.data.data.get('closedPeriods', {})
+          .diff(resource.data.data.get('closedPeriods', {}));
+      }
+
+      function periodHistory() {
+        return request.resource.data.data.get('periodHistory', []);
+      }
+
+      // The owner or a super admin closes a period. Only a super admin
+      // reopens one, and must log a reason. A close record never changes.
+      function periodsValid() {
+        return periodChanges().changedKeys().size() == 0 &&
+          (periodChanges().addedKeys().size() == 0 || isSuperAdmin() || isOwner()) &&
+          (periodChanges().removedKeys().size() == 0 ||
+            (isSuperAdmin() && periodHistory().size() > 0 &&
+             periodHistory()[periodHistory().size() - 1].reason is string &&
+             periodHistory()[periodHistory().size() - 1].reason.size() > 0));
+      }
+
+      // closedLedger holds each closed month's transactions. A month's entry
+      // only changes in the write that closes or reopens it.
+      function closedLedgerValid() {
+        return request.resource.data.data.get('closedLedger', {})
+          .diff(resource.data.data.get('closedLedger', {})).affectedKeys()
+          .difference(periodChanges().addedKeys().union(periodChanges().removedKeys()))
+          .size() == 0;
+      }
+
+      // Percent complete is kept by month ('YYYY-MM'). A closed month's
+      // entries only change in the write that reopens it.
+      function progressValid() {
+        return !request.resource.data.data.get('progress', {})
+          .diff(resource.data.data.get('progress', {})).affectedKeys()
+          .hasAny(resource.data.data.get('closedPeriods', {}).keys().toSet()
+            .difference(periodChanges().removedKeys()));
+      }
+
+      function frozenChanges() {
+        return request.resource.data.data.get('frozenCategories', {})
+          .diff(resource.data.data.get('frozenCategories', {}));
+      }
+
+      // A locked scenario's frozen categories are only replaced or dropped
+      // when it is locked or unlocked. Scenarios locked before snapshots
+      // existed may gain their first one from the owner or a super admin.
+      function frozenCategoriesValid() {
+        return !frozenChanges().changedKeys().union(frozenChanges().removedKeys())
+            .difference(toggledLocks()).hasAny(oldLocks()) &&
+          (!frozenChanges().addedKeys().difference(toggledLocks()).hasAny(oldLocks()) ||
+            isSuperAdmin() || isOwner());
+      }
+
       allow read: if request.auth != null;
-      allow create, update: if request.auth != null;
-      allow delete: if request.auth != null && 
-        get(/databases/$(database)/documents/users/$(request.auth.uid)).data.role == 'super_admin';
+      allow create: if request.auth != null;
+      // createdBy never changes, so isOwner() can't be claimed by rewriting it
+      allow update: if request.auth != null &&
+        request.resource.data.createdBy == resource.data.createdBy &&
+        (toggledLocks().size() == 0 || !locksInitialized() || isSuperAdmin() || isOwner()) &&
+        !changedScenarios().difference(toggledLocks()).hasAny(oldLocks()) &&
+        periodsValid() && closedLedgerValid() && progressValid() && frozenCategoriesValid();
+      allow delete: if request.auth != null && isSuperAdmin();
     }
     
     // Settings collection - users can access their own settings
@@ -85,8 +85,179 @@ function setButtonLoading(button, isLoading) {
     }
 }
 
-// ENHANCED: Budget category validation
-function validateBudgetCategory(data) {
+// NEW: System settings saved from the settings page
+function getSystemSettings() {
+    try {
+        return JSON.parse(localStorage.getItem('cashflow_settings')) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable system settings:', error);
+        return {};
+    }
+}
+
+// NEW: Split CSV text into rows of fields. Quoted fields may hold commas,
+// doubled quotes and line breaks, as written by the CSV exports.
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Distribution methods offered in every method selector, with their labels
+const DISTRIBUTION_METHODS = {
+    's-curve': 'S-Curve Distribution',
+    'straight-line': 'Straight Line',
+    'pert': 'PERT / Beta Curve',
+    'front-loaded': 'Front-Loaded',
+    'back-loaded': 'Back-Loaded',
+    'trapezoid': 'Trapezoid Ramp',
+    'manual': 'Manual Input'
+};
+
+// Dependency link types between categories
+const DEPENDENCY_TYPES = {
+    'FS': 'Finish-to-Start',
+    'SS': 'Start-to-Start'
+};
+
+// Change order statuses. Only approved change orders move the budget.
+const CHANGE_ORDER_STATUSES = {
+    'pending': 'Pending',
+    'approved': 'Approved',
+    'rejected': 'Rejected'
+};
+
+// Kinds of commitment recorded against the budget
+const COMMITMENT_TYPES = {
+    'subcontract': 'Subcontract',
+    'po': 'Purchase Order'
+};
+
+// Kinds of contingency a category can hold. Contingency is drawn down into
+// other categories through the drawdown log.
+const CONTINGENCY_TYPES = {
+    'owner': 'Owner Contingency',
+    'gc': 'GC Contingency',
+    'design': 'Design Contingency'
+};
+
+// Kinds of funding source. Sources draw in ascending order; sources sharing
+// an order draw pari passu, in proportion to what each has left.
+const FUNDING_SOURCE_TYPES = {
+    'equity': 'Equity',
+    'loan': 'Construction Loan',
+    'mezzanine': 'Mezzanine',
+    'grant': 'Grant'
+};
+
+// Project retainage terms until the project sets its own. Rates are percent
+// of each month's cost, dropping to reducedRate once a category is reduceAt
+// percent complete. Retainage is released at substantial completion, which
+// defaults to the project end date.
+const DEFAULT_RETAINAGE = {
+    enabled: false,
+    rate: 10,
+    reducedRate: 5,
+    reduceAt: 50,
+    substantialCompletion: null
+};
+
+// The three budget numbers tracked per category, each with its own
+// revision history
+const BUDGET_LEVELS = {
+    'original': 'Original Budget',
+    'current': 'Current Budget',
+    'forecast': 'Forecast at Completion'
+};
+
+// Cost and schedule performance index bands. At or above onTrack is on
+// plan or better; below watch is reported as a problem.
+const EARNED_VALUE_THRESHOLDS = {
+    onTrack: 1,
+    watch: 0.9
+};
+
+// Monthly actual-vs-planned variance bands, in percent of planned spend.
+// Within onTrack is on plan; beyond watch is reported as a problem.
+const VARIANCE_THRESHOLDS = {
+    onTrack: 5,
+    watch: 15
+};
+
+// NEW: Find a loop in category predecessor links. Returns the ids around the
+// first cycle found, starting and ending on the same id, or null.
+function findDependencyCycle(categories) {
+    const byId = new Map(categories.map(category => [String(category.id), category]));
+    const state = new Map();
+    const path = [];
+
+    const visit = (id) => {
+        state.set(id, 'visiting');
+        path.push(id);
+
+        for (const link of byId.get(id).dependencies || []) {
+            const next = String(link.predecessorId);
+            if (!byId.has(next)) continue;
+            if (state.get(next) === 'visiting') {
+                return [...path.slice(path.indexOf(next)), next];
+            }
+            if (!state.has(next)) {
+                const cycle = visit(next);
+                if (cycle) return cycle;
+            }
+        }
+
+        path.pop();
+        state.set(id, 'done');
+        return null;
+    };
+
+    for (const id of byId.keys()) {
+        if (!state.has(id)) {
+            const cycle = visit(id);
+            if (cycle) return cycle;
+        }
+    }
+    return null;
+}
+
+// ENHANCED: Budget category validation. Pass the project's categories to check
+// predecessor links against them.
+function validateBudgetCategory(data, categories = []) {
     const errors = [];
     
     if (!data.code || data.code.trim() === '') {
@@ -101,14 +272,210 @@ function validateBudgetCategory(data) {
         errors.push('Amount must be a positive number');
     }
     
+    if (data.originalAmount !== undefined && data.originalAmount < 0) {
+        errors.push('Original budget must be a positive number');
+    }
+    
     if (!['Hard', 'Soft', 'TI'].includes(data.costType)) {
         errors.push('Invalid cost type');
     }
     
-    if (!['s-curve', 'straight-line', 'manual'].includes(data.distributionMethod)) {
+    if (data.contingencyType && !Object.keys(CONTINGENCY_TYPES).includes(data.contingencyType)) {
+        errors.push('Invalid contingency type');
+    }
+    
+    if (data.retainage) {
+        errors.push(...validateRetainage(data.retainage));
+    }
+    
+    if (!Object.keys(DISTRIBUTION_METHODS).includes(data.distributionMethod)) {
         errors.push('Invalid distribution method');
     }
     
+    const params = data.distributionParams || {};
+    
+    if (data.distributionMethod === 'pert' && Math.abs(params.skew || 0) > 1) {
+        errors.push('PERT skew must be between -1 and 1');
+    }
+    
+    if (data.distributionMethod === 'trapezoid') {
+        const rampUp = params.rampUp ?? 3;
+        const rampDown = params.rampDown ?? 3;
+        if (rampUp < 0 || rampDown < 0) {
+            errors.push('Ramp lengths cannot be negative');
+        } else if (rampUp + rampDown > (params.duration || 12)) {
+            errors.push('Ramp-up and ramp-down months cannot exceed the duration');
+        }
+    }
+    
+    const dependencies = data.dependencies || [];
+    if (dependencies.length > 0) {
+        const linkErrors = new Set();
+        
+        if (data.distributionMethod === 'manual') {
+            linkErrors.add('Manual spreads cannot have predecessors');
+        }
+        
+        dependencies.forEach(link => {
+            if (!Object.keys(DEPENDENCY_TYPES).includes(link.type)) {
+                linkErrors.add('Invalid dependency type');
+            }
+            if (!Number.isInteger(link.lag)) {
+                linkErrors.add('Dependency lag must be a whole number of months');
+            }
+            if (data.id !== undefined && String(link.predecessorId) === String(data.id)) {
+                linkErrors.add('A category cannot be its own predecessor');
+            } else if (!categories.some(category => String(category.id) === String(link.predecessorId))) {
+                linkErrors.add('Predecessor category not found');
+            }
+        });
+        
+        const linked = [...categories.filter(category => String(category.id) !== String(data.id)), data];
+        const cycle = findDependencyCycle(linked);
+        if (cycle) {
+            const codes = cycle.map(id => linked.find(category => String(category.id) === id)?.code || id);
+            linkErrors.add(`Dependency cycle: ${codes.join(' → ')}`);
+        }
+        
+        errors.push(...linkErrors);
+    }
+    
+    return errors;
+}
+
+// NEW: Change order validation. Numbers are unique within the project and
+// each line item names a category once.
+function validateChangeOrder(data, changeOrders = [], categories = []) {
+    const errors = [];
+    const number = (data.number || '').trim();
+    
+    if (!number) {
+        errors.push('Change order number is required');
+    } else if (changeOrders.some(co => co.id !== data.id && co.number.trim().toLowerCase() === number.toLowerCase())) {
+        errors.push(`Change order ${number} already exists`);
+    }
+    
+    if (!data.description || data.description.trim() === '') {
+        errors.push('Description is required');
+    }
+    
+    if (!Object.keys(CHANGE_ORDER_STATUSES).includes(data.status)) {
+        errors.push('Invalid change order status');
+    }
+    
+    if (data.submittedDate && isNaN(Date.parse(data.submittedDate))) {
+        errors.push('Invalid submitted date');
+    }
+    
+    const items = data.items || [];
+    if (items.length === 0) {
+        errors.push('Add at least one category amount');
+    }
+    
+    const itemErrors = new Set();
+    items.forEach((item, index) => {
+        if (!categories.some(category => String(category.id) === String(item.categoryId))) {
+            itemErrors.add('Category not found');
+        } else if (items.findIndex(other => String(other.categoryId) === String(item.categoryId)) !== index) {
+            itemErrors.add('Each category can only appear once');
+        }
+        if (typeof item.amount !== 'number' || !isFinite(item.amount) || item.amount === 0) {
+            itemErrors.add('Change amounts must be non-zero numbers');
+        }
+    });
+    errors.push(...itemErrors);
+    
+    return errors;
+}
+
+// NEW: Commitment validation. Allocations name a category once and are positive.
+function validateCommitment(data, categories = []) {
+    const errors = [];
+    
+    if (!Object.keys(COMMITMENT_TYPES).includes(data.type)) {
+        errors.push('Invalid commitment type');
+    }
+    
+    if (!data.vendor || data.vendor.trim() === '') {
+        errors.push('Vendor is required');
+    }
+    
+    if (data.date && isNaN(Date.parse(data.date))) {
+        errors.push('Invalid commitment date');
+    }
+    
+    const items = data.items || [];
+    if (items.length === 0) {
+        errors.push('Allocate the commitment to at least one category');
+    }
+    
+    const itemErrors = new Set();
+    items.forEach((item, index) => {
+        if (!categories.some(category => String(category.id) === String(item.categoryId))) {
+            itemErrors.add('Category not found');
+        } else if (items.findIndex(other => String(other.categoryId) === String(item.categoryId)) !== index) {
+            itemErrors.add('Each category can only appear once');
+        }
+        if (typeof item.amount !== 'number' || !isFinite(item.amount) || item.amount <= 0) {
+            itemErrors.add('Commitment amounts must be positive numbers');
+        }
+    });
+    errors.push(...itemErrors);
+    
+    return errors;
+}
+
+// NEW: Contingency drawdown validation. Dollars move out of a contingency
+// category into a different, non-contingency category, up to what is left.
+function validateDrawdown(data, categories = [], available = 0) {
+    const errors = [];
+    const source = categories.find(category => String(category.id) === String(data.contingencyId));
+    const target = categories.find(category => String(category.id) === String(data.categoryId));
+
+    if (!source || !source.contingencyType) {
+        errors.push('Select a contingency category to draw from');
+    }
+
+    if (!target) {
+        errors.push('Select the category receiving the funds');
+    } else if (target.contingencyType) {
+        errors.push('Contingency cannot be drawn into another contingency category');
+    }
+
+    if (!(data.amount > 0)) {
+        errors.push('Drawdown amount must be greater than zero');
+    } else if (source && data.amount > available + RECONCILIATION_TOLERANCE) {
+        errors.push(`Only $${available.toLocaleString(undefined, {maximumFractionDigits: 2})} of ${source.code} contingency remains`);
+    }
+
+    if (!data.reason || data.reason.trim() === '') {
+        errors.push('A reason is required');
+    }
+
+    if (!data.date || !ProjectCalendar.parseMonth(data.date)) {
+        errors.push('Drawdown date is required');
+    }
+
+    return errors;
+}
+
+// NEW: Actual cost transaction validation. Credits are entered as negative
+// amounts; the invoice date decides which month the cost lands in.
+function validateActualTransaction(data) {
+    const errors = [];
+    
+    if (!data.vendor || data.vendor.trim() === '') {
+        errors.push('Vendor is required');
+    }
+    
+    if (!data.invoiceDate || isNaN(Date.parse(data.invoiceDate))) {
+        errors.push('A valid invoice date is required');
+    }
+    
+    if (typeof data.amount !== 'number' || !isFinite(data.amount) || data.amount === 0) {
+        errors.push('Amount must be a non-zero number');
+    }
+    
     return errors;
 }
 
@@ -128,9 +495,196 @@ function validateProjectInfo(data) {
         }
     }
     
+    if (data.horizonMonths !== undefined && data.horizonMonths !== null && data.horizonMonths !== '') {
+        const horizon = Number(data.horizonMonths);
+        if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON_MONTHS) {
+            errors.push(`Projection horizon must be between 1 and ${MAX_HORIZON_MONTHS} months`);
+        }
+    }
+    
+    return errors;
+}
+
+// NEW: Funding source validation
+function validateFundingSource(data) {
+    const errors = [];
+
+    if (!data.name || data.name.trim() === '') {
+        errors.push('Source name is required');
+    }
+
+    if (!Object.keys(FUNDING_SOURCE_TYPES).includes(data.type)) {
+        errors.push('Invalid funding source type');
+    }
+
+    if (!(data.commitment > 0)) {
+        errors.push('Commitment must be greater than zero');
+    }
+
+    if (!Number.isInteger(data.order) || data.order < 1) {
+        errors.push('Draw order must be a whole number of 1 or more');
+    }
+
+    return errors;
+}
+
+// NEW: Retainage terms validation. Categories may set any subset of the rates;
+// the rest come from the project.
+function validateRetainage(terms = {}) {
+    const errors = [];
+    const labels = { rate: 'Retainage', reducedRate: 'Reduced retainage', reduceAt: 'Step-down point' };
+
+    Object.keys(labels).forEach(key => {
+        const value = terms[key];
+        if (value !== undefined && value !== null && (!Number.isFinite(value) || value < 0 || value > 100)) {
+            errors.push(`${labels[key]} must be between 0 and 100 percent`);
+        }
+    });
+
+    if (Number.isFinite(terms.rate) && Number.isFinite(terms.reducedRate) && terms.reducedRate > terms.rate) {
+        errors.push('Reduced retainage cannot be more than the starting rate');
+    }
+
+    if (terms.substantialCompletion && !ProjectCalendar.parseMonth(terms.substantialCompletion)) {
+        errors.push('Substantial completion must be a valid date');
+    }
+
     return errors;
 }
 
+// NEW: Monte Carlo uncertainty ranges for one category. Amounts are percent
+// changes to the budget; start and duration are months earlier/later.
+function validateUncertaintyRanges(ranges = {}) {
+    const errors = [];
+    const {
+        amountLowPct = 0, amountHighPct = 0,
+        startEarlyMonths = 0, startLateMonths = 0,
+        durationShortMonths = 0, durationLongMonths = 0
+    } = ranges;
+
+    if (amountLowPct > 0 || amountLowPct < -100) {
+        errors.push('Amount low range must be between -100% and 0%');
+    }
+
+    if (amountHighPct < 0) {
+        errors.push('Amount high range cannot be negative');
+    }
+
+    [startEarlyMonths, startLateMonths, durationShortMonths, durationLongMonths].forEach(months => {
+        if (!Number.isInteger(months) || months < 0) {
+            errors.push('Schedule ranges must be whole, non-negative months');
+        }
+    });
+
+    return [...new Set(errors)];
+}
+
+// ============================================================================
+// PROJECT CALENDAR
+// ============================================================================
+
+// Bump when stored project data needs a migration step in migrateProjectData
+const PROJECT_SCHEMA_VERSION = 6;
+
+// Used when a project has no usable end date
+const DEFAULT_HORIZON_MONTHS = 24;
+const MAX_HORIZON_MONTHS = 120;
+
+// Maps month indexes to real calendar months. Month 0 is the month that
+// contains the project start date; monthCount is the projection horizon.
+class ProjectCalendar {
+    constructor(startDate, monthCount = DEFAULT_HORIZON_MONTHS) {
+        const start = ProjectCalendar.parseMonth(startDate) || ProjectCalendar.parseMonth(new Date());
+        this.startYear = start.year;
+        this.startMonth = start.month;
+        this.monthCount = monthCount;
+    }
+
+    static forProject(info = {}) {
+        return new ProjectCalendar(info.startDate, ProjectCalendar.horizonFor(info));
+    }
+
+    // Months from the start month through the end month inclusive, unless the
+    // project sets an explicit horizonMonths override
+    static horizonFor(info = {}) {
+        const override = parseInt(info.horizonMonths);
+        if (override > 0) {
+            return Math.min(override, MAX_HORIZON_MONTHS);
+        }
+
+        const start = ProjectCalendar.parseMonth(info.startDate);
+        const end = ProjectCalendar.parseMonth(info.endDate);
+        if (start && end && ProjectCalendar.monthsBetween(start, end) >= 0) {
+            return Math.min(ProjectCalendar.monthsBetween(start, end) + 1, MAX_HORIZON_MONTHS);
+        }
+
+        return DEFAULT_HORIZON_MONTHS;
+    }
+
+    // Accepts Date objects, Firestore Timestamps and 'YYYY-MM[-DD]' strings.
+    // Dates from <input type="date"> were stored as UTC midnight, so Date
+    // objects are read in UTC to avoid landing in the previous month.
+    static parseMonth(value) {
+        if (!value) return null;
+
+        if (typeof value.toDate === 'function') {
+            value = value.toDate();
+        } else if (typeof value.seconds === 'number') {
+            value = new Date(value.seconds * 1000);
+        }
+
+        if (typeof value === 'string') {
+            const match = value.match(/^(\d{4})-(\d{1,2})/);
+            if (match) {
+                return { year: parseInt(match[1]), month: parseInt(match[2]) - 1 };
+            }
+            value = new Date(value);
+        }
+
+        if (value instanceof Date && !isNaN(value.getTime())) {
+            return { year: value.getUTCFullYear(), month: value.getUTCMonth() };
+        }
+
+        return null;
+    }
+
+    static monthsBetween(from, to) {
+        return (to.year - from.year) * 12 + (to.month - from.month);
+    }
+
+    // Local calendar date as 'YYYY-MM-DD', the format project dates are stored in
+    static toISODate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    monthDate(monthIndex) {
+        return new Date(this.startYear, this.startMonth + monthIndex, 1);
+    }
+
+    // 'YYYY-MM' for a parsed { year, month }
+    static toMonthKey(month) {
+        return `${month.year}-${String(month.month + 1).padStart(2, '0')}`;
+    }
+
+    monthKey(monthIndex) {
+        const date = this.monthDate(monthIndex);
+        return ProjectCalendar.toMonthKey({ year: date.getFullYear(), month: date.getMonth() });
+    }
+
+    formatMonth(monthIndex, options = { month: 'short', year: '2-digit' }) {
+        return this.monthDate(monthIndex).toLocaleDateString('en-US', options);
+    }
+
+    // Month index for any date, or null when the date can't be parsed
+    indexOf(date) {
+        const month = ProjectCalendar.parseMonth(date);
+        if (!month) return null;
+        return ProjectCalendar.monthsBetween({ year: this.startYear, month: this.startMonth }, month);
+    }
+}
+
 // ============================================================================
 // MAIN APPLICATION CLASS
 // ============================================================================
@@ -144,8 +698,10 @@ class CashflowApp {
         this.projectData = this.getDefaultProjectData();
         this.unsubscribeCallbacks = [];
         this.chartInstances = new Map();
+        this.reconciliation = {};
+        this.simulation = null;
         
-        this.calculations = new CalculationEngine();
+        this.calculations = new CalculationEngine({ currency: getSystemSettings().currencyFormat });
         this.visualization = new VisualizationEngine(this);
         
         this.waitForAuth();
@@ -177,13 +733,17 @@ class CashflowApp {
     }
 
     getDefaultProjectData() {
+        const today = new Date();
+        const defaultEnd = new Date(today.getFullYear(), today.getMonth() + DEFAULT_HORIZON_MONTHS, 0);
+
         return {
             info: {
                 name: 'New Construction Project',
                 client: '',
                 location: '',
-                startDate: new Date(),
-                endDate: new Date(),
+                startDate: ProjectCalendar.toISODate(today),
+                endDate: ProjectCalendar.toISODate(defaultEnd),
+                horizonMonths: null,
                 manager: window.authManager?.currentUser?.email || '',
                 logo: null,
                 colors: {
@@ -199,53 +759,279 @@ class CashflowApp {
                     name: 'Baseline',
                     projections: {},
                     actuals: {},
+                    transactions: {},
                     isLocked: false
                 }
             },
-            currentScenario: 'baseline'
+            currentScenario: 'baseline',
+            lockedScenarios: [],
+            frozenCategories: {},
+            changeOrders: [],
+            commitments: [],
+            contingencyDrawdowns: [],
+            retainage: { ...DEFAULT_RETAINAGE },
+            fundingSources: [],
+            progress: {},
+            closedPeriods: {},
+            closedLedger: {},
+            periodHistory: [],
+            schemaVersion: PROJECT_SCHEMA_VERSION
         };
     }
 
-    async init() {
-        console.log('CashflowApp: Starting initialization...');
-        try {
-            showLoading('Initializing application...');
-            
-            await this.loadProjects();
-            this.setupEventListeners();
-            this.setupTooltips();
-            
-            hideLoading();
-            console.log('CashflowApp: Initialization complete');
-        } catch (error) {
-            console.error('Initialization error:', error);
-            hideLoading();
-            showNotification('Failed to initialize application: ' + error.message, 'error');
+    getCalendar() {
+        return ProjectCalendar.forProject(this.projectData.info);
+    }
+
+    // NEW: Bring projects saved by older versions up to the current data model.
+    // Returns true when the project was changed and needs saving.
+    migrateProjectData(project) {
+        const data = project?.data;
+        const version = data?.schemaVersion || 0;
+        if (!data || version >= PROJECT_SCHEMA_VERSION) {
+            return false;
+        }
+
+        if (version < 1) {
+            this.migrateCalendarAnchor(project);
+        }
+        if (version < 2) {
+            this.migrateProjectHorizon(data);
+        }
+        if (version < 3) {
+            this.migrateCentAccuracy(data);
+        }
+        if (version < 4) {
+            this.migrateScenarioLocks(data);
+        }
+        if (version < 5) {
+            this.migrateChangeOrders(data);
         }
+        if (version < 6) {
+            this.migrateActualTransactions(data);
+        }
+
+        data.schemaVersion = PROJECT_SCHEMA_VERSION;
+        return true;
     }
 
-    // ENHANCED: Better first-time user experience
-    async loadProjects() {
-        console.log('Loading projects from Firebase...');
-        showLoading('Loading projects...');
-        
-        try {
-            const result = await window.firebaseStorage.loadAllProjects();
-            
-            if (result.success) {
-                this.projects = result.data;
-                console.log(`Loaded ${Object.keys(this.projects).length} projects`);
-                
-                const lastProjectId = localStorage.getItem('last_project_id');
-                if (lastProjectId && this.projects[lastProjectId]) {
-                    await this.loadProject(lastProjectId);
-                } else if (Object.keys(this.projects).length > 0) {
-                    await this.loadProject(Object.keys(this.projects)[0]);
-                } else {
-                    // No projects exist - offer to create one
-                    hideLoading();
-                    const createProject = confirm(
-                        'Welcome to Cashflow Pro! You don\'t have any projects yet. ' +
+    // Before schema v1 month 0 meant "the month the page was opened", so actuals
+    // were keyed relative to whenever they were entered. The last save is the
+    // best record of that, so actuals are re-keyed from that month onto the
+    // project start date and keep the calendar month they were entered for.
+    migrateCalendarAnchor(project) {
+        const data = project.data;
+        const legacyAnchor = ProjectCalendar.parseMonth(project.lastModified) ||
+            ProjectCalendar.parseMonth(project.createdDate) ||
+            ProjectCalendar.parseMonth(new Date());
+
+        data.info = data.info || {};
+        let start = ProjectCalendar.parseMonth(data.info.startDate);
+        if (!start) {
+            start = legacyAnchor;
+            data.info.startDate = `${ProjectCalendar.toMonthKey(start)}-01`;
+        }
+
+        const offset = ProjectCalendar.monthsBetween(start, legacyAnchor);
+        this.shiftActuals(data, offset);
+
+        data.calendarMigration = {
+            legacyAnchor: ProjectCalendar.toMonthKey(legacyAnchor),
+            offset: offset
+        };
+        console.log(`Calendar migration: actuals shifted by ${offset} months`);
+    }
+
+    // Before schema v2 every project ran 24 months and new projects were created
+    // with the end date equal to the start date. Give those projects an end date
+    // that keeps their 24-month horizon.
+    migrateProjectHorizon(data) {
+        const start = ProjectCalendar.parseMonth(data.info.startDate);
+        const end = ProjectCalendar.parseMonth(data.info.endDate);
+        if (start && (!end || ProjectCalendar.monthsBetween(start, end) <= 0)) {
+            const lastDay = new Date(start.year, start.month + DEFAULT_HORIZON_MONTHS, 0);
+            data.info.endDate = ProjectCalendar.toISODate(lastDay);
+        }
+    }
+
+    // Schema v4 keeps a project-level list of locked scenario ids so the
+    // Firestore rules can reject writes to them without iterating scenarios.
+    migrateScenarioLocks(data) {
+        data.lockedScenarios = Object.keys(data.scenarios || {})
+            .filter(scenarioId => data.scenarios[scenarioId].isLocked);
+    }
+
+    // Schema v5 separates each category's original budget from the current
+    // one. Older projects have no change orders, so both start equal.
+    migrateChangeOrders(data) {
+        data.changeOrders = data.changeOrders || [];
+        (data.budgetCategories || []).forEach(category => {
+            category.originalAmount = category.originalAmount ?? category.amount;
+        });
+    }
+
+    // Schema v6 records actuals as invoice-level transactions. Each stored
+    // monthly total becomes one transaction dated the first of its month so
+    // the totals rebuilt from transactions match what was there before.
+    migrateActualTransactions(data) {
+        const calendar = ProjectCalendar.forProject(data.info);
+
+        Object.values(data.scenarios || {}).forEach(scenario => {
+            scenario.transactions = scenario.transactions || {};
+            Object.entries(scenario.actuals || {}).forEach(([categoryId, months]) => {
+                if (scenario.transactions[categoryId]) return;
+                scenario.transactions[categoryId] = Object.entries(months)
+                    .filter(([, amount]) => amount)
+                    .map(([month, amount]) => ({
+                        id: this.createTransactionId(),
+                        vendor: 'Monthly total',
+                        invoiceNumber: '',
+                        invoiceDate: ProjectCalendar.toISODate(calendar.monthDate(parseInt(month))),
+                        amount: amount,
+                        memo: 'Migrated from a monthly actual entry'
+                    }));
+            });
+        });
+    }
+
+    // Before schema v3 projections were raw floats. Round everything to the
+    // currency's minor unit and re-spread each projection so it sums exactly to
+    // its budget (or to its own rounded total when it never matched the budget).
+    migrateCentAccuracy(data) {
+        const engine = this.calculations;
+
+        (data.budgetCategories || []).forEach(category => {
+            category.amount = engine.roundCurrency(category.amount);
+
+            Object.values(data.scenarios || {}).forEach(scenario => {
+                const projections = scenario.projections?.[category.id];
+                if (projections) {
+                    const total = Object.values(projections).reduce((sum, value) => sum + (value || 0), 0);
+                    const target = Math.abs(total - category.amount) < 1 ? category.amount : total;
+                    scenario.projections[category.id] = engine.normalizeDistribution(projections, target);
+                }
+
+                const actuals = scenario.actuals?.[category.id];
+                if (actuals) {
+                    scenario.actuals[category.id] = engine.roundDistribution(actuals);
+                }
+            });
+        });
+    }
+
+    // Move every scenario's actuals by a number of months
+    shiftActuals(data, offset) {
+        if (!offset) return;
+
+        Object.values(data.scenarios || {}).forEach(scenario => {
+            const shifted = {};
+            Object.keys(scenario.actuals || {}).forEach(categoryId => {
+                shifted[categoryId] = {};
+                Object.keys(scenario.actuals[categoryId]).forEach(month => {
+                    shifted[categoryId][parseInt(month) + offset] = scenario.actuals[categoryId][month];
+                });
+            });
+            scenario.actuals = shifted;
+        });
+    }
+
+    // NEW: Change the project dates and horizon. Month indexes count from the
+    // start date, so actuals are re-keyed to stay in the calendar month they
+    // belong to, and projections are recalculated when the horizon changes.
+    // Dates that would leave recorded actuals outside the horizon are refused.
+    updateProjectSchedule({ startDate, endDate, horizonMonths = null }) {
+        const info = this.projectData.info;
+        const errors = validateProjectInfo({ name: info.name, startDate, endDate, horizonMonths });
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+
+        const oldHorizon = ProjectCalendar.horizonFor(info);
+        const oldStart = ProjectCalendar.parseMonth(info.startDate);
+        const newStart = ProjectCalendar.parseMonth(startDate);
+        const offset = oldStart && newStart ? ProjectCalendar.monthsBetween(newStart, oldStart) : 0;
+        const newHorizon = ProjectCalendar.horizonFor({
+            ...info,
+            startDate: startDate || info.startDate,
+            endDate: endDate || info.endDate,
+            horizonMonths: horizonMonths ? parseInt(horizonMonths) : null
+        });
+
+        const outside = new Set();
+        Object.values(this.projectData.scenarios).forEach(scenario => {
+            Object.entries(scenario.actuals || {}).forEach(([categoryId, months]) => {
+                const category = this.projectData.budgetCategories.find(c => String(c.id) === categoryId);
+                Object.entries(months).forEach(([month, amount]) => {
+                    const shifted = parseInt(month) + offset;
+                    if (amount && (shifted < 0 || shifted >= newHorizon)) {
+                        outside.add(`${category?.code || categoryId} ${this.getCalendar().formatMonth(parseInt(month), { month: 'short', year: 'numeric' })}`);
+                    }
+                });
+            });
+        });
+        if (outside.size > 0) {
+            throw new Error(`These actuals would fall outside the new project dates: ${[...outside].join(', ')}. Move or delete them first.`);
+        }
+
+        if (offset) {
+            // Re-keying actuals rewrites every scenario, locked ones included
+            this.getLockedScenarioIds().forEach(scenarioId => this.assertScenarioUnlocked(scenarioId));
+        }
+        this.shiftActuals(this.projectData, offset);
+
+        info.startDate = startDate || info.startDate;
+        info.endDate = endDate || info.endDate;
+        info.horizonMonths = horizonMonths ? parseInt(horizonMonths) : null;
+
+        if (ProjectCalendar.horizonFor(info) !== oldHorizon) {
+            this.projectData.budgetCategories.forEach(category => {
+                this.calculateProjections(category.id);
+            });
+        }
+
+        this.debouncedSave();
+    }
+
+    async init() {
+        console.log('CashflowApp: Starting initialization...');
+        try {
+            showLoading('Initializing application...');
+            
+            await this.loadProjects();
+            this.setupEventListeners();
+            this.setupTooltips();
+            
+            hideLoading();
+            console.log('CashflowApp: Initialization complete');
+        } catch (error) {
+            console.error('Initialization error:', error);
+            hideLoading();
+            showNotification('Failed to initialize application: ' + error.message, 'error');
+        }
+    }
+
+    // ENHANCED: Better first-time user experience
+    async loadProjects() {
+        console.log('Loading projects from Firebase...');
+        showLoading('Loading projects...');
+        
+        try {
+            const result = await window.firebaseStorage.loadAllProjects();
+            
+            if (result.success) {
+                this.projects = result.data;
+                console.log(`Loaded ${Object.keys(this.projects).length} projects`);
+                
+                const lastProjectId = localStorage.getItem('last_project_id');
+                if (lastProjectId && this.projects[lastProjectId]) {
+                    await this.loadProject(lastProjectId);
+                } else if (Object.keys(this.projects).length > 0) {
+                    await this.loadProject(Object.keys(this.projects)[0]);
+                } else {
+                    // No projects exist - offer to create one
+                    hideLoading();
+                    const createProject = confirm(
+                        'Welcome to Cashflow Pro! You don\'t have any projects yet. ' +
                         'Would you like to create your first project now?'
                     );
                     
@@ -345,6 +1131,9 @@ class CashflowApp {
         try {
             if (this.projects[projectId]) {
                 this.currentProjectId = projectId;
+                if (this.migrateProjectData(this.projects[projectId])) {
+                    this.debouncedSave();
+                }
                 this.projectData = this.projects[projectId].data;
                 
                 localStorage.setItem('last_project_id', projectId);
@@ -418,7 +1207,10 @@ class CashflowApp {
             const project = this.projects[this.currentProjectId];
             project.data = this.projectData;
             
-            const result = await window.firebaseStorage.saveProject(this.currentProjectId, project);
+            const result = await window.firebaseStorage.saveProject(this.currentProjectId, {
+                ...project,
+                data: this.getStoredProjectData()
+            });
             
             if (!result.success) {
                 throw new Error(result.error);
@@ -450,7 +1242,8 @@ class CashflowApp {
             }
 
             const updatedProject = this.projects[this.currentProjectId];
-            const projectDataChanged = JSON.stringify(updatedProject.data) !== JSON.stringify(this.projectData);
+            this.migrateProjectData(updatedProject);
+            const projectDataChanged = JSON.stringify(updatedProject.data) !== JSON.stringify(this.getStoredProjectData());
 
             if (!projectDataChanged) {
                 return;
@@ -479,6 +1272,9 @@ class CashflowApp {
     async loadCurrentProject() {
         console.log('Loading current project data...');
         try {
+            this.rebuildAllActuals();
+            this.updateForecasts();
+            this.reconcileProjections();
             this.renderBudgetTable();
             this.updateProjectSummary();
             this.updateProjectInfo();
@@ -515,13 +1311,15 @@ class CashflowApp {
         }
     }
 
-    addBudgetCategory(code, name, amount, costType, distributionMethod = 's-curve', distributionParams = {}) {
+    addBudgetCategory(code, name, amount, costType, distributionMethod = 's-curve', distributionParams = {}, dependencies = [], contingencyType = null) {
         console.log(`Adding budget category: ${code} - ${name}`);
         
         try {
+            this.prepareCategoryChange();
+
             const validation = validateBudgetCategory({
-                code, name, amount, costType, distributionMethod
-            });
+                code, name, amount, costType, distributionMethod, distributionParams, dependencies, contingencyType
+            }, this.projectData.budgetCategories);
             
             if (validation.length > 0) {
                 throw new Error(validation.join(', '));
@@ -531,7 +1329,8 @@ class CashflowApp {
                 id: Date.now(),
                 code: code.trim(),
                 name: name.trim(),
-                amount: parseFloat(amount) || 0,
+                amount: this.calculations.roundCurrency(parseFloat(amount) || 0),
+                originalAmount: this.calculations.roundCurrency(parseFloat(amount) || 0),
                 costType: costType,
                 distributionMethod: distributionMethod,
                 distributionParams: {
@@ -539,8 +1338,13 @@ class CashflowApp {
                     startMonth: 0,
                     duration: 12,
                     ...distributionParams
-                }
+                },
+                dependencies: dependencies,
+                contingencyType: contingencyType || null,
+                budgetHistory: []
             };
+            this.recordBudgetRevision(category, 'original', null, category.originalAmount, 'Category added');
+            this.recordBudgetRevision(category, 'current', null, category.amount, 'Category added');
             
             this.projectData.budgetCategories.push(category);
             this.calculateProjections(category.id);
@@ -566,15 +1370,40 @@ class CashflowApp {
             if (!category) {
                 throw new Error('Category not found');
             }
+            this.prepareCategoryChange();
             
-            Object.assign(category, updates);
+            // The current budget is always the original plus approved change
+            // orders and contingency drawdowns. A new current budget on its
+            // own revises the original.
+            const budget = this.getCategoryBudget(category);
+            const adjustments = budget.current - budget.original;
+            const updated = { ...category, ...updates };
+            if (updates.originalAmount === undefined && updates.amount !== undefined) {
+                updated.originalAmount = parseFloat(updates.amount) - adjustments;
+            }
+            updated.originalAmount = this.calculations.roundCurrency(updated.originalAmount ?? category.amount);
+            updated.amount = this.calculations.roundCurrency(updated.originalAmount + adjustments);
+            updated.contingencyType = updated.contingencyType || null;
             
-            const validation = validateBudgetCategory(category);
+            const validation = validateBudgetCategory(updated, this.projectData.budgetCategories);
+            if (this.getCategoryDrawdowns(id).length > 0 && !!updated.contingencyType !== !!category.contingencyType) {
+                validation.push('Categories with contingency drawdowns cannot change whether they hold contingency');
+            }
             if (validation.length > 0) {
                 throw new Error(validation.join(', '));
             }
             
+            const previous = { original: category.originalAmount ?? category.amount, current: category.amount };
+            const levels = this.getBudgetLevelSnapshot();
+            const reason = updates.originalAmount === undefined && updates.amount !== undefined
+                ? 'Current budget edited'
+                : 'Original budget edited';
+            Object.assign(category, updated);
+            this.recordBudgetRevision(category, 'original', previous.original, category.originalAmount, reason);
+            this.recordBudgetRevision(category, 'current', previous.current, category.amount, reason);
             this.calculateProjections(id);
+            this.getDependentCategoryIds(id).forEach(dependentId => this.calculateProjections(dependentId));
+            this.recordBudgetLevelChanges(levels, reason);
             this.debouncedSave();
             this.renderBudgetTable();
             this.updateProjectSummary();
@@ -599,208 +1428,3721 @@ class CashflowApp {
             if (!category) {
                 throw new Error('Category not found');
             }
+
+            const changeOrders = this.getCategoryChangeOrders(id);
+            if (changeOrders.length > 0) {
+                throw new Error(`Referenced by change order ${changeOrders.map(co => co.number).join(', ')}`);
+            }
+            const closedWithActuals = Object.keys(this.projectData.closedLedger || {})
+                .filter(period => Object.values(this.projectData.closedLedger[period]).some(byCategory => byCategory[id]));
+            if (closedWithActuals.length > 0) {
+                throw new Error(`Has actuals in closed periods (${closedWithActuals.map(period => this.formatPeriod(period)).join(', ')})`);
+            }
+            const closedWithProgress = Object.keys(this.projectData.progress || {})
+                .filter(period => this.isPeriodClosed(period) && this.projectData.progress[period][id] !== undefined);
+            if (closedWithProgress.length > 0) {
+                throw new Error(`Has progress recorded in closed periods (${closedWithProgress.map(period => this.formatPeriod(period)).join(', ')})`);
+            }
+            const commitments = this.getCategoryCommitmentList(id);
+            if (commitments.length > 0) {
+                throw new Error(`Referenced by commitments with ${[...new Set(commitments.map(c => c.vendor))].join(', ')}`);
+            }
+            if (this.getCategoryDrawdowns(id).length > 0) {
+                throw new Error('Referenced by contingency drawdowns');
+            }
+
+            // Locked scenarios that reference the category would lose data
+            this.getLockedScenarioIds()
+                .filter(scenarioId => {
+                    const scenario = this.projectData.scenarios[scenarioId];
+                    return scenario.projections[id] || scenario.actuals[id] || scenario.overrides?.[id];
+                })
+                .forEach(scenarioId => this.assertScenarioUnlocked(scenarioId));
             
+            const dependentIds = this.getDependentCategoryIds(id);
             this.projectData.budgetCategories = this.projectData.budgetCategories.filter(c => c.id !== id);
             
             Object.keys(this.projectData.scenarios).forEach(scenarioId => {
-                delete this.projectData.scenarios[scenarioId].projections[id];
-                delete this.projectData.scenarios[scenarioId].actuals[id];
+                const scenario = this.projectData.scenarios[scenarioId];
+                delete scenario.projections[id];
+                delete scenario.actuals[id];
+                if (scenario.transactions) {
+                    delete scenario.transactions[id];
+                }
+                if (scenario.forecast) {
+                    delete scenario.forecast[id];
+                }
+                if (scenario.eacOverrides) {
+                    delete scenario.eacOverrides[id];
+                }
+                if (scenario.overrides) {
+                    delete scenario.overrides[id];
+                }
+            });
+            Object.keys(this.projectData.progress || {}).forEach(period => {
+                delete this.projectData.progress[period][id];
+                if (Object.keys(this.projectData.progress[period]).length === 0) {
+                    delete this.projectData.progress[period];
+                }
+            });
+            
+            // Successors fall back to their own start month
+            this.projectData.budgetCategories.forEach(other => {
+                if (other.dependencies?.length) {
+                    other.dependencies = other.dependencies.filter(link => String(link.predecessorId) !== String(id));
+                }
             });
+            dependentIds.forEach(dependentId => this.calculateProjections(dependentId));
+            
+            this.reconcileProjections();
+            this.debouncedSave();
+            this.renderBudgetTable();
+            this.updateProjectSummary();
+            
+            showNotification(`Category "${category.name}" deleted`, 'success');
+            console.log(`Budget category deleted: ${id}`);
+        } catch (error) {
+            console.error('Error deleting budget category:', error);
+            showNotification('Failed to delete category: ' + error.message, 'error');
+        }
+    }
+
+    editBudgetCategory(id) {
+        const category = this.projectData.budgetCategories.find(c => c.id === id);
+        if (!category) {
+            console.error(`Category not found for editing: ${id}`);
+            return;
+        }
+
+        console.log(`Editing budget category: ${id}`);
+        const budget = this.getCategoryBudget(category);
+
+        const modal = document.getElementById('modal-container');
+        if (modal) {
+            modal.innerHTML = `
+                <div class="modal-overlay">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h3 class="modal-title">Edit Budget Category</h3>
+                            <button onclick="app.closeModal()" class="modal-close">×</button>
+                        </div>
+                        <form id="edit-budget-form" data-category-id="${id}">
+                            <input type="hidden" name="approvedChanges" value="${budget.current - budget.original}">
+                            <div class="form-group">
+                                <label>Category Code</label>
+                                <input type="text" name="code" value="${category.code}" required>
+                            </div>
+                            <div class="form-group">
+                                <label>Category Name</label>
+                                <input type="text" name="name" value="${category.name}" required>
+                            </div>
+                            <div class="form-group">
+                                <label>Original Budget</label>
+                                <input type="number" name="amount" value="${budget.original}" step="0.01" min="0" required oninput="app.updateManualTotal()">
+                                ${budget.approved !== 0 ? `
+                                    <span class="form-helper-text">
+                                        Current budget $${budget.current.toLocaleString(undefined, {maximumFractionDigits: 2})} includes
+                                        ${budget.approved > 0 ? '+' : '-'}$${Math.abs(budget.approved).toLocaleString(undefined, {maximumFractionDigits: 2})} of approved change orders
+                                    </span>
+                                ` : ''}
+                                ${budget.transfers !== 0 ? `
+                                    <span class="form-helper-text">
+                                        Current budget includes ${budget.transfers > 0 ? '+' : '-'}$${Math.abs(budget.transfers).toLocaleString(undefined, {maximumFractionDigits: 2})} of contingency drawdowns
+                                    </span>
+                                ` : ''}
+                            </div>
+                            <div class="form-group">
+                                <label>Cost Type</label>
+                                <select name="costType" required>
+                                    <option value="Hard" ${category.costType === 'Hard' ? 'selected' : ''}>Hard Costs</option>
+                                    <option value="Soft" ${category.costType === 'Soft' ? 'selected' : ''}>Soft Costs</option>
+                                    <option value="TI" ${category.costType === 'TI' ? 'selected' : ''}>Tenant Improvements</option>
+                                </select>
+                            </div>
+                            ${this.renderContingencyTypeField(category.contingencyType)}
+                            ${this.renderRetainageFields(category.retainage)}
+                            <div class="form-group">
+                                <label>Distribution Method</label>
+                                <select name="distributionMethod" required onchange="toggleDistributionParams(this.value)">
+                                    ${this.renderDistributionMethodOptions(category.distributionMethod)}
+                                </select>
+                            </div>
+                            ${this.renderDistributionParamFields(category.distributionParams)}
+                            ${this.renderDependencyFields(category.dependencies, category.id)}
+                            <div class="form-actions">
+                                <button type="button" onclick="app.closeModal()" class="btn-secondary">Cancel</button>
+                                <button type="submit" class="btn-primary">Save Changes</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            `;
+            modal.style.display = 'block';
+            toggleDistributionParams(category.distributionMethod);
+            
+            // Add keyboard support
+            document.addEventListener('keydown', this.handleModalKeyboard);
+            
+            // Focus first input
+            setTimeout(() => {
+                const firstInput = modal.querySelector('input, select, textarea');
+                if (firstInput) firstInput.focus();
+            }, 100);
             
+            document.getElementById('edit-budget-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                const formData = new FormData(e.target);
+                const categoryId = parseInt(e.target.dataset.categoryId);
+                
+                this.updateBudgetCategory(categoryId, {
+                    code: formData.get('code'),
+                    name: formData.get('name'),
+                    originalAmount: parseFloat(formData.get('amount')),
+                    costType: formData.get('costType'),
+                    contingencyType: formData.get('contingencyType') || null,
+                    retainage: this.readRetainageFields(formData),
+                    distributionMethod: formData.get('distributionMethod'),
+                    distributionParams: this.readDistributionParams(formData, category.distributionParams),
+                    dependencies: this.readDependencies(formData)
+                });
+                
+                this.closeModal();
+            });
+        }
+    }
+
+    // ============================================================================
+    // BUDGET LEVELS
+    // ============================================================================
+
+    // NEW: Original, current and forecast-at-completion budgets for one
+    // category in a scenario, with the deltas between them. The forecast is
+    // actuals to date plus the estimate to complete.
+    getBudgetLevels(category, scenarioId = this.projectData.currentScenario) {
+        const engine = this.calculations;
+        const scenario = this.projectData.scenarios[scenarioId];
+        const original = category.originalAmount ?? category.amount;
+        const current = this.getScenarioCategory(scenarioId, category).amount;
+        const result = engine.forecastCategory(
+            scenario.projections[category.id],
+            scenario.actuals[category.id],
+            this.getForecastCutoff(),
+            scenario.eacOverrides?.[category.id] ?? current,
+            this.getCalendar().monthCount
+        );
+        const forecast = engine.roundCurrency(result.actualToDate + result.etc);
+
+        return {
+            original: original,
+            current: current,
+            forecast: forecast,
+            currentVsOriginal: engine.roundCurrency(current - original),
+            forecastVsCurrent: engine.roundCurrency(forecast - current),
+            forecastVsOriginal: engine.roundCurrency(forecast - original)
+        };
+    }
+
+    getBudgetLevelTotals(scenarioId = this.projectData.currentScenario) {
+        const totals = this.projectData.budgetCategories.reduce((sums, category) => {
+            const levels = this.getBudgetLevels(category, scenarioId);
+            Object.keys(sums).forEach(key => sums[key] += levels[key]);
+            return sums;
+        }, { original: 0, current: 0, forecast: 0, currentVsOriginal: 0, forecastVsCurrent: 0, forecastVsOriginal: 0 });
+
+        Object.keys(totals).forEach(key => totals[key] = this.calculations.roundCurrency(totals[key]));
+        return totals;
+    }
+
+    // Append a revision to the category's budget history. Forecast and
+    // scenario override revisions belong to the scenario they were made in.
+    // Unchanged values are skipped.
+    recordBudgetRevision(category, level, previous, amount, reason, scenarioId = null) {
+        if (previous === amount) return;
+
+        const user = window.authManager?.currentUser;
+        category.budgetHistory = [...(category.budgetHistory || []), {
+            level: level,
+            previous: previous,
+            amount: amount,
+            scenarioId: scenarioId,
+            userId: user?.uid || null,
+            userEmail: user?.email || null,
+            at: new Date().toISOString(),
+            reason: reason || null
+        }];
+    }
+
+    // NEW: Budget levels of every category in the given scenarios (all
+    // unlocked ones by default), taken before a change so
+    // recordBudgetLevelChanges can log what it moved
+    getBudgetLevelSnapshot(scenarioIds = Object.keys(this.projectData.scenarios).filter(id => !this.isScenarioLocked(id))) {
+        const snapshot = {};
+        scenarioIds.forEach(scenarioId => {
+            snapshot[scenarioId] = {};
+            this.projectData.budgetCategories.forEach(category => {
+                snapshot[scenarioId][category.id] = this.getBudgetLevels(category, scenarioId);
+            });
+        });
+        return snapshot;
+    }
+
+    // NEW: Record current and forecast revisions for whatever moved since the
+    // snapshot. The baseline's current budget is the category's own amount
+    // and is recorded where it is edited, so only scenario overrides are
+    // recorded here.
+    recordBudgetLevelChanges(snapshot, reason) {
+        Object.entries(snapshot).forEach(([scenarioId, previous]) => {
+            if (!this.projectData.scenarios[scenarioId]) return;
+
+            this.projectData.budgetCategories.forEach(category => {
+                if (!previous[category.id]) return;
+                const levels = this.getBudgetLevels(category, scenarioId);
+                if (scenarioId !== 'baseline') {
+                    this.recordBudgetRevision(category, 'current', previous[category.id].current, levels.current, reason, scenarioId);
+                }
+                this.recordBudgetRevision(category, 'forecast', previous[category.id].forecast, levels.forecast, reason, scenarioId);
+            });
+        });
+    }
+
+    showBudgetHistoryModal(categoryId) {
+        const category = this.projectData.budgetCategories.find(c => c.id === categoryId);
+        if (!category) return;
+
+        const modal = document.getElementById('modal-container');
+        if (!modal) return;
+
+        const format = value => value === null ? '—' : (value < 0 ? '-$' : '$') + Math.abs(value).toLocaleString(undefined, {maximumFractionDigits: 0});
+        const levels = this.getBudgetLevels(category);
+        const history = [...(category.budgetHistory || [])].reverse();
+
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3 class="modal-title">Budget History: ${category.code} - ${category.name}</h3>
+                        <button onclick="app.closeModal()" class="modal-close">×</button>
+                    </div>
+                    <div class="summary-grid mb-4">
+                        ${Object.keys(BUDGET_LEVELS).map(level => `
+                            <div class="summary-item">
+                                <span class="label">${BUDGET_LEVELS[level]}</span>
+                                <span class="value">${format(levels[level])}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <table class="data-table">
+                        <thead>
+                            <tr><th>Date</th><th>Budget</th><th>From</th><th>To</th><th>Reason</th><th>By</th></tr>
+                        </thead>
+                        <tbody>
+                            ${history.length === 0 ? `
+                                <tr><td colspan="6" style="text-align: center; color: var(--medium-gray);">No revisions recorded</td></tr>
+                            ` : history.map(entry => `
+                                <tr>
+                                    <td>${new Date(entry.at).toLocaleDateString()}</td>
+                                    <td>
+                                        ${BUDGET_LEVELS[entry.level]}
+                                        ${entry.scenarioId ? `<span class="text-sm text-gray-500">(${this.projectData.scenarios[entry.scenarioId]?.name || entry.scenarioId})</span>` : ''}
+                                    </td>
+                                    <td>${format(entry.previous)}</td>
+                                    <td>${format(entry.amount)}</td>
+                                    <td>${entry.reason || ''}</td>
+                                    <td>${entry.userEmail || entry.userId || ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div class="form-actions">
+                        <button type="button" onclick="app.closeModal()" class="btn-secondary">Close</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.addEventListener('keydown', this.handleModalKeyboard);
+    }
+
+    // NEW: Original, current and forecast budgets per category, with deltas
+    exportBudgetCSV() {
+        const scenarioId = this.projectData.currentScenario;
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+        const rows = [[
+            'Code', 'Name', 'Original Budget', 'Current Budget', 'Forecast at Completion',
+            'Current vs Original', 'Forecast vs Current', 'Forecast vs Original'
+        ]];
+
+        const toRow = levels => [
+            levels.original, levels.current, levels.forecast,
+            levels.currentVsOriginal, levels.forecastVsCurrent, levels.forecastVsOriginal
+        ];
+        this.projectData.budgetCategories.forEach(category => {
+            rows.push([quote(category.code), quote(category.name), ...toRow(this.getBudgetLevels(category, scenarioId))]);
+        });
+        rows.push(['', 'Total', ...toRow(this.getBudgetLevelTotals(scenarioId))]);
+        rows.push([]);
+        rows.push(['Scenario', quote(this.projectData.scenarios[scenarioId].name)]);
+
+        const csv = rows.map(row => row.join(',')).join('\n');
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `budget-${this.projectData.info.name}-${new Date().toISOString().split('T')[0]}.csv`;
+        link.click();
+
+        showNotification('Budget exported to CSV', 'success');
+    }
+
+    // ============================================================================
+    // CHANGE ORDERS
+    // ============================================================================
+
+    // NEW: Original budget, approved and pending change order totals, net
+    // contingency drawdowns, and the current budget (original plus approved
+    // changes and drawdowns) for one category
+    getCategoryBudget(category) {
+        const totals = { approved: 0, pending: 0 };
+        (this.projectData.changeOrders || []).forEach(co => {
+            if (totals[co.status] === undefined) return;
+            co.items
+                .filter(item => String(item.categoryId) === String(category.id))
+                .forEach(item => totals[co.status] += item.amount);
+        });
+        const transfers = this.getCategoryDrawdowns(category.id).reduce((sum, drawdown) =>
+            sum + (String(drawdown.categoryId) === String(category.id) ? drawdown.amount : -drawdown.amount), 0);
+
+        const original = category.originalAmount ?? category.amount;
+        return {
+            original: original,
+            approved: this.calculations.roundCurrency(totals.approved),
+            pending: this.calculations.roundCurrency(totals.pending),
+            transfers: this.calculations.roundCurrency(transfers),
+            current: this.calculations.roundCurrency(original + totals.approved + transfers)
+        };
+    }
+
+    getBudgetTotals() {
+        return this.projectData.budgetCategories.reduce((totals, category) => {
+            const budget = this.getCategoryBudget(category);
+            Object.keys(totals).forEach(key => totals[key] += budget[key]);
+            return totals;
+        }, { original: 0, approved: 0, pending: 0, transfers: 0, current: 0 });
+    }
+
+    getCategoryChangeOrders(categoryId) {
+        return (this.projectData.changeOrders || [])
+            .filter(co => co.items.some(item => String(item.categoryId) === String(categoryId)));
+    }
+
+    getNextChangeOrderNumber() {
+        const numbers = new Set((this.projectData.changeOrders || []).map(co => co.number.toLowerCase()));
+        let next = numbers.size + 1;
+        while (numbers.has(`co-${String(next).padStart(3, '0')}`)) next++;
+        return `CO-${String(next).padStart(3, '0')}`;
+    }
+
+    // Super admins and the project's creator approve or reject change orders
+    canApproveChangeOrders() {
+        return this.canManageScenarioLocks();
+    }
+
+    // NEW: Create a change order, or edit one that is still pending. Returns
+    // the change order id, or null when it was rejected by validation.
+    saveChangeOrder(data, changeOrderId = null) {
+        console.log(`${changeOrderId ? 'Updating' : 'Creating'} change order: ${data.number}`);
+
+        try {
+            this.projectData.changeOrders = this.projectData.changeOrders || [];
+            const existing = changeOrderId ? this.projectData.changeOrders.find(co => co.id === changeOrderId) : null;
+            if (changeOrderId && !existing) {
+                throw new Error('Change order not found');
+            }
+            if (existing && existing.status !== 'pending') {
+                throw new Error(`Change order ${existing.number} is ${existing.status} and can no longer be edited`);
+            }
+
+            const user = window.authManager?.currentUser;
+            const changeOrder = {
+                id: existing?.id ?? Date.now(),
+                number: (data.number || '').trim(),
+                description: (data.description || '').trim(),
+                status: 'pending',
+                items: (data.items || []).map(item => ({
+                    categoryId: item.categoryId,
+                    amount: this.calculations.roundCurrency(item.amount)
+                })),
+                submittedDate: data.submittedDate || ProjectCalendar.toISODate(new Date()),
+                createdAt: existing?.createdAt || new Date().toISOString(),
+                createdBy: existing?.createdBy || user?.email || null,
+                approver: null,
+                decidedDate: null
+            };
+
+            const validation = validateChangeOrder(changeOrder, this.projectData.changeOrders, this.projectData.budgetCategories);
+            if (validation.length > 0) {
+                throw new Error(validation.join(', '));
+            }
+
+            if (existing) {
+                Object.assign(existing, changeOrder);
+            } else {
+                this.projectData.changeOrders.push(changeOrder);
+            }
+
+            this.debouncedSave();
+            this.renderBudgetTable();
+            this.updateProjectSummary();
+
+            showNotification(`Change order ${changeOrder.number} saved`, 'success');
+            return changeOrder.id;
+        } catch (error) {
+            console.error('Error saving change order:', error);
+            showNotification('Failed to save change order: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    // NEW: Approve or reject a pending change order. Approval moves the
+    // affected categories' current budgets and re-spreads their projections.
+    setChangeOrderStatus(changeOrderId, status) {
+        console.log(`Setting change order ${changeOrderId} to ${status}`);
+
+        try {
+            const changeOrder = (this.projectData.changeOrders || []).find(co => co.id === changeOrderId);
+            if (!changeOrder) {
+                throw new Error('Change order not found');
+            }
+            if (!['approved', 'rejected'].includes(status)) {
+                throw new Error('Invalid change order status');
+            }
+            if (changeOrder.status !== 'pending') {
+                throw new Error(`Change order ${changeOrder.number} is already ${changeOrder.status}`);
+            }
+            if (!this.canApproveChangeOrders()) {
+                throw new Error('Only super admins or the project owner can approve or reject change orders');
+            }
+
+            const categories = changeOrder.items.map(item =>
+                this.projectData.budgetCategories.find(category => String(category.id) === String(item.categoryId))
+            );
+            if (status === 'approved') {
+                changeOrder.items.forEach((item, index) => {
+                    if (this.getCategoryBudget(categories[index]).current + item.amount < 0) {
+                        throw new Error(`Change order would take ${categories[index].code} below zero`);
+                    }
+                });
+                this.prepareCategoryChange();
+            }
+
+            const user = window.authManager.currentUser;
+            changeOrder.status = status;
+            changeOrder.approver = user.email || user.uid;
+            changeOrder.decidedDate = ProjectCalendar.toISODate(new Date());
+
+            if (status === 'approved') {
+                const reason = `Change order ${changeOrder.number} approved`;
+                const levels = this.getBudgetLevelSnapshot();
+                this.applyChangeOrderToOverrides(changeOrder);
+                categories.forEach(category => {
+                    const previous = category.amount;
+                    category.amount = this.getCategoryBudget(category).current;
+                    this.recordBudgetRevision(category, 'current', previous, category.amount, reason);
+                    this.calculateProjections(category.id);
+                });
+                this.recordBudgetLevelChanges(levels, reason);
+            }
+
+            this.debouncedSave();
+            this.renderBudgetTable();
+            this.updateProjectSummary();
+
+            showNotification(`Change order ${changeOrder.number} ${status}`, 'success');
+        } catch (error) {
+            console.error('Error updating change order:', error);
+            showNotification('Failed to update change order: ' + error.message, 'error');
+        }
+    }
+
+    // Scenarios that override a category's amount would otherwise ignore an
+    // approved change, so the change is added to the override too. Locked
+    // scenarios keep the budget they were locked with.
+    applyChangeOrderToOverrides(changeOrder) {
+        Object.keys(this.projectData.scenarios)
+            .filter(scenarioId => !this.isScenarioLocked(scenarioId))
+            .forEach(scenarioId => {
+                const overrides = this.projectData.scenarios[scenarioId].overrides || {};
+                changeOrder.items.forEach(item => {
+                    const override = overrides[item.categoryId];
+                    if (override?.amount !== undefined && override.amount !== null) {
+                        override.amount = this.calculations.roundCurrency(override.amount + item.amount);
+                    }
+                });
+            });
+    }
+
+    approveChangeOrder(changeOrderId) {
+        this.setChangeOrderStatus(changeOrderId, 'approved');
+    }
+
+    rejectChangeOrder(changeOrderId) {
+        this.setChangeOrderStatus(changeOrderId, 'rejected');
+    }
+
+    // Approved and rejected change orders stay as the record of the decision
+    deleteChangeOrder(changeOrderId) {
+        const changeOrder = (this.projectData.changeOrders || []).find(co => co.id === changeOrderId);
+        if (!changeOrder) return;
+
+        if (changeOrder.status !== 'pending') {
+            showNotification(`Change order ${changeOrder.number} is ${changeOrder.status} and cannot be deleted`, 'error');
+            return;
+        }
+        if (!confirm(`Delete change order ${changeOrder.number}?`)) {
+            return;
+        }
+
+        this.projectData.changeOrders = this.projectData.changeOrders.filter(co => co.id !== changeOrderId);
+        this.debouncedSave();
+        this.renderBudgetTable();
+        this.updateProjectSummary();
+
+        showNotification(`Change order ${changeOrder.number} deleted`, 'success');
+    }
+
+    renderChangeOrders() {
+        const container = document.getElementById('change-order-table-body');
+        if (!container) return;
+
+        const changeOrders = this.projectData.changeOrders || [];
+        if (changeOrders.length === 0) {
+            container.innerHTML = `
+                <tr>
+                    <td colspan="7" style="text-align: center; padding: 2rem; color: var(--medium-gray);">
+                        No change orders yet. Approved change orders are added to the current budget.
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const canApprove = this.canApproveChangeOrders();
+        container.innerHTML = changeOrders.map(co => {
+            const total = co.items.reduce((sum, item) => sum + item.amount, 0);
+            const categories = co.items.map(item => {
+                const category = this.projectData.budgetCategories.find(c => String(c.id) === String(item.categoryId));
+                return `${category ? category.code : '?'} ${item.amount < 0 ? '-' : '+'}$${Math.abs(item.amount).toLocaleString(undefined, {maximumFractionDigits: 0})}`;
+            }).join(', ');
+
+            return `
+                <tr>
+                    <td>${co.number}</td>
+                    <td>${co.description}</td>
+                    <td class="text-sm">${categories}</td>
+                    <td class="${total < 0 ? 'text-red-600' : ''}">${total < 0 ? '-' : ''}$${Math.abs(total).toLocaleString(undefined, {maximumFractionDigits: 0})}</td>
+                    <td><span class="co-status ${co.status}">${CHANGE_ORDER_STATUSES[co.status]}</span></td>
+                    <td class="text-sm">
+                        Submitted ${co.submittedDate}
+                        ${co.decidedDate ? `<br>${CHANGE_ORDER_STATUSES[co.status]} ${co.decidedDate} by ${co.approver}` : ''}
+                    </td>
+                    <td>
+                        ${co.status === 'pending' ? `
+                            <div class="flex gap-1">
+                                ${canApprove ? `
+                                    <button onclick="app.approveChangeOrder(${co.id})" class="btn-icon" title="Approve">✅</button>
+                                    <button onclick="app.rejectChangeOrder(${co.id})" class="btn-icon" title="Reject">❌</button>
+                                ` : ''}
+                                <button onclick="app.showChangeOrderModal(${co.id})" class="btn-icon" title="Edit">✏️</button>
+                                <button onclick="app.deleteChangeOrder(${co.id})" class="btn-icon" title="Delete">🗑️</button>
+                            </div>
+                        ` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    showChangeOrderModal(changeOrderId = null) {
+        if (this.projectData.budgetCategories.length === 0) {
+            showNotification('Add budget categories before creating change orders', 'warning');
+            return;
+        }
+
+        const existing = changeOrderId ? (this.projectData.changeOrders || []).find(co => co.id === changeOrderId) : null;
+        const changeOrder = existing || {
+            number: this.getNextChangeOrderNumber(),
+            description: '',
+            submittedDate: ProjectCalendar.toISODate(new Date()),
+            items: [{}]
+        };
+
+        const modal = document.getElementById('modal-container');
+        if (!modal) return;
+
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3 class="modal-title">${existing ? `Edit Change Order ${existing.number}` : 'New Change Order'}</h3>
+                        <button onclick="app.closeModal()" class="modal-close">×</button>
+                    </div>
+                    <form id="change-order-form">
+                        <div class="form-row">
+                            <div class="form-group required">
+                                <label>CO Number</label>
+                                <input type="text" name="number" value="${changeOrder.number}" required>
+                            </div>
+                            <div class="form-group">
+                                <label>Submitted</label>
+                                <input type="date" name="submittedDate" value="${changeOrder.submittedDate}">
+                            </div>
+                        </div>
+                        <div class="form-group required">
+                            <label>Description</label>
+                            <textarea name="description" rows="2" required>${changeOrder.description}</textarea>
+                        </div>
+                        <div class="form-group">
+                            <label>Category Amounts</label>
+                            <div id="allocation-rows">
+                                ${changeOrder.items.map(item => this.renderAllocationRow(item)).join('')}
+                            </div>
+                            <button type="button" class="btn-secondary btn-small" onclick="app.addAllocationRow()">+ Add Category</button>
+                            <span class="form-helper-text">
+                                Use negative amounts for deducts. Approval requires a super admin or the project owner.
+                            </span>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" onclick="app.closeModal()" class="btn-secondary">Cancel</button>
+                            <button type="submit" class="btn-primary">${existing ? 'Save Changes' : 'Submit Change Order'}</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+        modal.style.display = 'block';
+
+        document.addEventListener('keydown', this.handleModalKeyboard);
+
+        document.getElementById('change-order-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const savedId = this.saveChangeOrder({
+                number: formData.get('number'),
+                description: formData.get('description'),
+                submittedDate: formData.get('submittedDate'),
+                items: this.readAllocationRows(formData)
+            }, existing?.id ?? null);
+
+            if (savedId) {
+                this.closeModal();
+            }
+        });
+    }
+
+    // Category and amount rows shared by the change order and commitment modals
+    renderAllocationRow(item = {}) {
+        const options = this.projectData.budgetCategories.map(category => `
+            <option value="${category.id}" ${String(category.id) === String(item.categoryId) ? 'selected' : ''}>
+                ${category.code} - ${category.name}
+            </option>
+        `).join('');
+
+        return `
+            <div class="allocation-row">
+                <select name="allocationCategory">
+                    <option value="">Select category...</option>
+                    ${options}
+                </select>
+                <input type="number" name="allocationAmount" value="${item.amount ?? ''}" step="0.01" placeholder="Amount">
+                <button type="button" class="btn-secondary btn-small" onclick="this.closest('.allocation-row').remove()">×</button>
+            </div>
+        `;
+    }
+
+    addAllocationRow() {
+        const rows = document.getElementById('allocation-rows');
+        if (!rows) return;
+        rows.insertAdjacentHTML('beforeend', this.renderAllocationRow());
+    }
+
+    // Rows without a category are ignored
+    readAllocationRows(formData) {
+        const categoryIds = formData.getAll('allocationCategory');
+        const amounts = formData.getAll('allocationAmount');
+
+        return categoryIds
+            .map((categoryId, index) => {
+                const category = this.projectData.budgetCategories.find(c => String(c.id) === categoryId);
+                return category ? { categoryId: category.id, amount: parseFloat(amounts[index]) } : null;
+            })
+            .filter(Boolean);
+    }
+
+    // ============================================================================
+    // COMMITMENTS
+    // ============================================================================
+
+    // NEW: Committed dollars for one category against its current budget and
+    // the current scenario's actuals. Cost to complete is what is still to be
+    // paid: the larger of the budget and the commitments, less actuals.
+    getCategoryCommitments(category) {
+        const committed = this.calculations.roundCurrency(
+            this.getCategoryCommitmentList(category.id).reduce((sum, commitment) =>
+                sum + commitment.items
+                    .filter(item => String(item.categoryId) === String(category.id))
+                    .reduce((itemSum, item) => itemSum + item.amount, 0), 0)
+        );
+        const actuals = this.projectData.scenarios[this.projectData.currentScenario].actuals[category.id] || {};
+        const actual = Object.values(actuals).reduce((sum, value) => sum + (value || 0), 0);
+        const budget = category.amount;
+
+        return {
+            budget: budget,
+            committed: committed,
+            uncommitted: this.calculations.roundCurrency(budget - committed),
+            actual: this.calculations.roundCurrency(actual),
+            costToComplete: this.calculations.roundCurrency(Math.max(0, Math.max(budget, committed) - actual)),
+            overCommitted: committed > budget
+        };
+    }
+
+    getCommitmentTotals() {
+        return this.projectData.budgetCategories.reduce((totals, category) => {
+            const status = this.getCategoryCommitments(category);
+            ['committed', 'uncommitted', 'costToComplete'].forEach(key => totals[key] += status[key]);
+            return totals;
+        }, { committed: 0, uncommitted: 0, costToComplete: 0 });
+    }
+
+    getCategoryCommitmentList(categoryId) {
+        return (this.projectData.commitments || [])
+            .filter(commitment => commitment.items.some(item => String(item.categoryId) === String(categoryId)));
+    }
+
+    // NEW: Create or edit a commitment. Commitments that take a category past
+    // its current budget are saved, with a warning naming the categories.
+    saveCommitment(data, commitmentId = null) {
+        console.log(`${commitmentId ? 'Updating' : 'Creating'} commitment: ${data.vendor}`);
+
+        try {
+            this.projectData.commitments = this.projectData.commitments || [];
+            const existing = commitmentId ? this.projectData.commitments.find(c => c.id === commitmentId) : null;
+            if (commitmentId && !existing) {
+                throw new Error('Commitment not found');
+            }
+
+            const commitment = {
+                id: existing?.id ?? Date.now(),
+                type: data.type,
+                number: (data.number || '').trim(),
+                vendor: (data.vendor || '').trim(),
+                description: (data.description || '').trim(),
+                date: data.date || ProjectCalendar.toISODate(new Date()),
+                items: (data.items || []).map(item => ({
+                    categoryId: item.categoryId,
+                    amount: this.calculations.roundCurrency(item.amount)
+                })),
+                createdAt: existing?.createdAt || new Date().toISOString(),
+                createdBy: existing?.createdBy || window.authManager?.currentUser?.email || null
+            };
+
+            const validation = validateCommitment(commitment, this.projectData.budgetCategories);
+            if (validation.length > 0) {
+                throw new Error(validation.join(', '));
+            }
+
+            if (existing) {
+                Object.assign(existing, commitment);
+            } else {
+                this.projectData.commitments.push(commitment);
+            }
+
+            this.debouncedSave();
+            this.renderBudgetTable();
+            this.updateProjectSummary();
+
+            const overCommitted = this.getOverCommittedCategories(commitment.items.map(item => item.categoryId));
+            if (overCommitted.length > 0) {
+                showNotification(
+                    `Commitment saved, but ${overCommitted.map(c => c.code).join(', ')} ` +
+                    `${overCommitted.length === 1 ? 'is' : 'are'} now committed beyond budget`,
+                    'warning', 6000
+                );
+            } else {
+                showNotification(`Commitment with ${commitment.vendor} saved`, 'success');
+            }
+            return commitment.id;
+        } catch (error) {
+            console.error('Error saving commitment:', error);
+            showNotification('Failed to save commitment: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    getOverCommittedCategories(categoryIds = null) {
+        return this.projectData.budgetCategories
+            .filter(category => !categoryIds || categoryIds.some(id => String(id) === String(category.id)))
+            .filter(category => this.getCategoryCommitments(category).overCommitted);
+    }
+
+    deleteCommitment(commitmentId) {
+        const commitment = (this.projectData.commitments || []).find(c => c.id === commitmentId);
+        if (!commitment) return;
+
+        if (!confirm(`Delete the ${COMMITMENT_TYPES[commitment.type].toLowerCase()} with ${commitment.vendor}?`)) {
+            return;
+        }
+
+        this.projectData.commitments = this.projectData.commitments.filter(c => c.id !== commitmentId);
+        this.debouncedSave();
+        this.renderBudgetTable();
+        this.updateProjectSummary();
+
+        showNotification('Commitment deleted', 'success');
+    }
+
+    renderCommitments() {
+        const statusBody = document.getElementById('commitment-status-body');
+        const listBody = document.getElementById('commitment-table-body');
+        const format = value => (value < 0 ? '-$' : '$') + Math.abs(value).toLocaleString(undefined, {maximumFractionDigits: 0});
+
+        if (statusBody) {
+            statusBody.innerHTML = this.projectData.budgetCategories.length === 0 ? `
+                <tr>
+                    <td colspan="5" style="text-align: center; padding: 2rem; color: var(--medium-gray);">
+                        No budget categories added yet.
+                    </td>
+                </tr>
+            ` : this.projectData.budgetCategories.map(category => {
+                const status = this.getCategoryCommitments(category);
+                return `
+                    <tr>
+                        <td>${category.code} - ${category.name}</td>
+                        <td>${format(status.budget)}</td>
+                        <td>
+                            ${format(status.committed)}
+                            ${status.overCommitted ? `<span class="reconciliation-flag" title="Committed beyond the current budget">⚠ over by ${format(-status.uncommitted)}</span>` : ''}
+                        </td>
+                        <td class="${status.uncommitted < 0 ? 'text-red-600' : ''}">${format(status.uncommitted)}</td>
+                        <td>${format(status.costToComplete)}</td>
+                    </tr>
+                `;
+            }).join('');
+        }
+
+        if (listBody) {
+            const commitments = this.projectData.commitments || [];
+            listBody.innerHTML = commitments.length === 0 ? `
+                <tr>
+                    <td colspan="6" style="text-align: center; padding: 2rem; color: var(--medium-gray);">
+                        No commitments yet. Record subcontracts and purchase orders as they are signed.
+                    </td>
+                </tr>
+            ` : commitments.map(commitment => {
+                const total = commitment.items.reduce((sum, item) => sum + item.amount, 0);
+                const allocations = commitment.items.map(item => {
+                    const category = this.projectData.budgetCategories.find(c => String(c.id) === String(item.categoryId));
+                    return `${category ? category.code : '?'} ${format(item.amount)}`;
+                }).join(', ');
+
+                return `
+                    <tr>
+                        <td>${COMMITMENT_TYPES[commitment.type]}${commitment.number ? ` ${commitment.number}` : ''}</td>
+                        <td>${commitment.vendor}${commitment.description ? `<br><span class="text-sm text-gray-500">${commitment.description}</span>` : ''}</td>
+                        <td class="text-sm">${allocations}</td>
+                        <td>${format(total)}</td>
+                        <td class="text-sm">${commitment.date}</td>
+                        <td>
+                            <div class="flex gap-1">
+                                <button onclick="app.showCommitmentModal(${commitment.id})" class="btn-icon" title="Edit">✏️</button>
+                                <button onclick="app.deleteCommitment(${commitment.id})" class="btn-icon" title="Delete">🗑️</button>
+                            </div>
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        }
+    }
+
+    showCommitmentModal(commitmentId = null) {
+        if (this.projectData.budgetCategories.length === 0) {
+            showNotification('Add budget categories before recording commitments', 'warning');
+            return;
+        }
+
+        const existing = commitmentId ? (this.projectData.commitments || []).find(c => c.id === commitmentId) : null;
+        const commitment = existing || {
+            type: 'subcontract',
+            number: '',
+            vendor: '',
+            description: '',
+            date: ProjectCalendar.toISODate(new Date()),
+            items: [{}]
+        };
+
+        const modal = document.getElementById('modal-container');
+        if (!modal) return;
+
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3 class="modal-title">${existing ? 'Edit Commitment' : 'New Commitment'}</h3>
+                        <button onclick="app.closeModal()" class="modal-close">×</button>
+                    </div>
+                    <form id="commitment-form">
+                        <div class="form-row">
+                            <div class="form-group required">
+                                <label>Type</label>
+                                <select name="type">
+                                    ${Object.keys(COMMITMENT_TYPES).map(type => `
+                                        <option value="${type}" ${type === commitment.type ? 'selected' : ''}>${COMMITMENT_TYPES[type]}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>Contract / PO Number</label>
+                                <input type="text" name="number" value="${commitment.number}">
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group required">
+                                <label>Vendor</label>
+                                <input type="text" name="vendor" value="${commitment.vendor}" required>
+                            </div>
+                            <div class="form-group">
+                                <label>Date</label>
+                                <input type="date" name="date" value="${commitment.date}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label>Description</label>
+                            <input type="text" name="description" value="${commitment.description}">
+                        </div>
+                        <div class="form-group">
+                            <label>Category Allocation</label>
+                            <div id="allocation-rows">
+                                ${commitment.items.map(item => this.renderAllocationRow(item)).join('')}
+                            </div>
+                            <button type="button" class="btn-secondary btn-small" onclick="app.addAllocationRow()">+ Add Category</button>
+                            <span class="form-helper-text">
+                                You will be warned when a commitment takes a category past its current budget
+                            </span>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" onclick="app.closeModal()" class="btn-secondary">Cancel</button>
+                            <button type="submit" class="btn-primary">${existing ? 'Save Changes' : 'Add Commitment'}</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+        modal.style.display = 'block';
+
+        document.addEventListener('keydown', this.handleModalKeyboard);
+
+        document.getElementById('commitment-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const savedId = this.saveCommitment({
+                type: formData.get('type'),
+                number: formData.get('number'),
+                vendor: formData.get('vendor'),
+                description: formData.get('description'),
+                date: formData.get('date'),
+                items: this.readAllocationRows(formData)
+            }, existing?.id ?? null);
+
+            if (savedId) {
+                this.closeModal();
+            }
+        });
+    }
+
+    calculateProjections(categoryId) {
+        console.log(`Calculating projections for category: ${categoryId}`);
+        
+        try {
+            const category = this.projectData.budgetCategories.find(c => c.id === categoryId);
+            if (!category) {
+                throw new Error('Category not found');
+            }
+
+            // Locked scenarios keep the projections they were locked with
+            Object.keys(this.projectData.scenarios)
+                .filter(scenarioId => !this.isScenarioLocked(scenarioId))
+                .forEach(scenarioId => {
+                    this.calculateScenarioProjection(scenarioId, category);
+                });
+            
+            this.reconcileProjections();
+            this.debouncedSave();
+        } catch (error) {
+            console.error('Error calculating projections:', error);
+            showNotification('Failed to calculate projections: ' + error.message, 'error');
+        }
+    }
+
+    // Project one category in one scenario, honoring the scenario's overrides
+    calculateScenarioProjection(scenarioId, category) {
+        const scenario = this.projectData.scenarios[scenarioId];
+        const effective = this.getScenarioCategory(scenarioId, category);
+
+        scenario.projections[category.id] = this.calculations.calculateDistribution(
+            effective.amount,
+            effective.distributionMethod,
+            effective.distributionParams,
+            this.getCalendar().monthCount
+        );
+        this.calculateCategoryForecast(scenarioId, category);
+    }
+
+    // ============================================================================
+    // CONTINGENCY
+    // ============================================================================
+
+    getContingencyCategories() {
+        return this.projectData.budgetCategories.filter(category => category.contingencyType);
+    }
+
+    // Drawdowns that move money out of or into a category
+    getCategoryDrawdowns(categoryId) {
+        return (this.projectData.contingencyDrawdowns || []).filter(drawdown =>
+            String(drawdown.contingencyId) === String(categoryId) || String(drawdown.categoryId) === String(categoryId));
+    }
+
+    // NEW: Budget, drawn and remaining dollars for one contingency category.
+    // The budget is the original plus approved change orders; drawdowns
+    // come out of it.
+    getContingencyStatus(category) {
+        const budget = this.getCategoryBudget(category);
+        const drawn = this.calculations.roundCurrency(-budget.transfers);
+        const available = this.calculations.roundCurrency(budget.original + budget.approved);
+
+        return {
+            budget: available,
+            drawn: drawn,
+            remaining: budget.current,
+            percentDrawn: available > 0 ? drawn / available * 100 : 0
+        };
+    }
+
+    // Super admins and the project's creator approve drawdowns
+    canApproveDrawdowns() {
+        return this.canManageScenarioLocks();
+    }
+
+    // NEW: Move dollars from a contingency category into another category.
+    // The person recording the drawdown is its approver.
+    recordDrawdown(data) {
+        console.log(`Recording contingency drawdown: ${data.amount} from ${data.contingencyId} to ${data.categoryId}`);
+
+        try {
+            if (!this.canApproveDrawdowns()) {
+                throw new Error('Only super admins or the project owner can approve contingency drawdowns');
+            }
+            // A drawdown moves budget between two categories
+            this.prepareCategoryChange();
+
+            const categories = this.projectData.budgetCategories;
+            const source = categories.find(category => String(category.id) === String(data.contingencyId));
+            const user = window.authManager.currentUser;
+            const drawdown = {
+                id: Date.now(),
+                contingencyId: source?.id ?? data.contingencyId,
+                categoryId: categories.find(category => String(category.id) === String(data.categoryId))?.id ?? data.categoryId,
+                amount: this.calculations.roundCurrency(parseFloat(data.amount)),
+                reason: (data.reason || '').trim(),
+                date: data.date || ProjectCalendar.toISODate(new Date()),
+                approver: user.email || user.uid,
+                approvedBy: user.uid,
+                createdAt: new Date().toISOString()
+            };
+
+            const available = source ? this.getContingencyStatus(source).remaining : 0;
+            const validation = validateDrawdown(drawdown, categories, available);
+            if (validation.length > 0) {
+                throw new Error(validation.join(', '));
+            }
+
+            const target = categories.find(category => category.id === drawdown.categoryId);
+            const previous = { source: source.amount, target: target.amount };
+            const levels = this.getBudgetLevelSnapshot();
+            this.projectData.contingencyDrawdowns = [...(this.projectData.contingencyDrawdowns || []), drawdown];
+
+            const reason = `Contingency drawdown: ${drawdown.reason}`;
+            [source, target].forEach(category => {
+                category.amount = this.getCategoryBudget(category).current;
+                this.calculateProjections(category.id);
+            });
+            this.recordBudgetRevision(source, 'current', previous.source, source.amount, reason);
+            this.recordBudgetRevision(target, 'current', previous.target, target.amount, reason);
+            this.recordBudgetLevelChanges(levels, reason);
+
+            this.debouncedSave();
+            this.renderBudgetTable();
+            this.updateProjectSummary();
+
+            showNotification(`$${drawdown.amount.toLocaleString()} drawn from ${source.code} into ${target.code}`, 'success');
+            return drawdown.id;
+        } catch (error) {
+            console.error('Error recording drawdown:', error);
+            showNotification('Failed to record drawdown: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    // NEW: Remaining contingency by type against project percent complete at
+    // the end of each month through the earned value status month. Percent
+    // complete leaves the contingency categories out.
+    getContingencyBurnDown(scenarioId) {
+        const calendar = this.getCalendar();
+        const contingency = this.getContingencyCategories();
+        const types = [...new Set(contingency.map(category => category.contingencyType))];
+        const drawdowns = this.projectData.contingencyDrawdowns || [];
+        const statusMonth = this.getEarnedValueStatusMonth(scenarioId);
+        const points = [];
+
+        for (let month = 0; month <= statusMonth; month++) {
+            const work = this.getEarnedValue(scenarioId, month).categories.filter(row => !row.category.contingencyType);
+            const budget = work.reduce((sum, row) => sum + row.budget, 0);
+            const earned = work.reduce((sum, row) => sum + row.earned, 0);
+
+            const remaining = {};
+            types.forEach(type => remaining[type] = 0);
+            contingency.forEach(category => {
+                const drawn = drawdowns
+                    .filter(drawdown => String(drawdown.contingencyId) === String(category.id))
+                    .filter(drawdown => Math.max(0, calendar.indexOf(drawdown.date)) <= month)
+                    .reduce((sum, drawdown) => sum + drawdown.amount, 0);
+                remaining[category.contingencyType] += this.getContingencyStatus(category).budget - drawn;
+            });
+            Object.keys(remaining).forEach(type => remaining[type] = this.calculations.roundCurrency(remaining[type]));
+
+            points.push({
+                month: month,
+                percentComplete: budget > 0 ? earned / budget * 100 : 0,
+                remaining: remaining,
+                total: this.calculations.roundCurrency(Object.values(remaining).reduce((sum, value) => sum + value, 0))
+            });
+        }
+
+        return {
+            types: types,
+            budget: this.calculations.roundCurrency(contingency.reduce((sum, category) => sum + this.getContingencyStatus(category).budget, 0)),
+            points: points
+        };
+    }
+
+    renderContingency() {
+        const statusBody = document.getElementById('contingency-status-body');
+        const logBody = document.getElementById('drawdown-table-body');
+        const format = value => (value < 0 ? '-$' : '$') + Math.abs(value).toLocaleString(undefined, {maximumFractionDigits: 0});
+        const findCategory = id => this.projectData.budgetCategories.find(c => String(c.id) === String(id));
+
+        if (statusBody) {
+            const contingency = this.getContingencyCategories();
+            statusBody.innerHTML = contingency.length === 0 ? `
+                <tr>
+                    <td colspan="5" style="text-align: center; padding: 2rem; color: var(--medium-gray);">
+                        No contingency categories. Mark a category as owner, GC or design contingency to track drawdowns.
+                    </td>
+                </tr>
+            ` : contingency.map(category => {
+                const status = this.getContingencyStatus(category);
+                return `
+                    <tr>
+                        <td>${category.code} - ${category.name}</td>
+                        <td><span class="contingency-badge">${CONTINGENCY_TYPES[category.contingencyType]}</span></td>
+                        <td>${format(status.budget)}</td>
+                        <td>${format(status.drawn)} <span class="text-sm text-gray-500">(${status.percentDrawn.toFixed(0)}%)</span></td>
+                        <td class="${status.remaining < 0 ? 'text-red-600' : ''}">${format(status.remaining)}</td>
+                    </tr>
+                `;
+            }).join('');
+        }
+
+        if (logBody) {
+            const drawdowns = [...(this.projectData.contingencyDrawdowns || [])].reverse();
+            logBody.innerHTML = drawdowns.length === 0 ? `
+                <tr>
+                    <td colspan="6" style="text-align: center; padding: 2rem; color: var(--medium-gray);">
+                        No drawdowns yet.
+                    </td>
+                </tr>
+            ` : drawdowns.map(drawdown => `
+                <tr>
+                    <td class="text-sm">${drawdown.date}</td>
+                    <td>${findCategory(drawdown.contingencyId)?.code || '?'}</td>
+                    <td>${findCategory(drawdown.categoryId)?.code || '?'}</td>
+                    <td>${format(drawdown.amount)}</td>
+                    <td>${drawdown.reason}</td>
+                    <td class="text-sm">${drawdown.approver}</td>
+                </tr>
+            `).join('');
+        }
+    }
+
+    showDrawdownModal() {
+        const contingency = this.getContingencyCategories().filter(category => this.getContingencyStatus(category).remaining > 0);
+        const targets = this.projectData.budgetCategories.filter(category => !category.contingencyType);
+        if (contingency.length === 0 || targets.length === 0) {
+            showNotification('Add a contingency category with funds remaining and a category to draw into', 'warning');
+            return;
+        }
+        if (!this.canApproveDrawdowns()) {
+            showNotification('Only super admins or the project owner can approve contingency drawdowns', 'error');
+            return;
+        }
+
+        const modal = document.getElementById('modal-container');
+        if (!modal) return;
+
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3 class="modal-title">Contingency Drawdown</h3>
+                        <button onclick="app.closeModal()" class="modal-close">×</button>
+                    </div>
+                    <form id="drawdown-form">
+                        <div class="form-row">
+                            <div class="form-group required">
+                                <label>From Contingency</label>
+                                <select name="contingencyId" required>
+                                    ${contingency.map(category => `
+                                        <option value="${category.id}">
+                                            ${category.code} - ${category.name} ($${this.getContingencyStatus(category).remaining.toLocaleString(undefined, {maximumFractionDigits: 0})} left)
+                                        </option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group required">
+                                <label>Into Category</label>
+                                <select name="categoryId" required>
+                                    ${targets.map(category => `
+                                        <option value="${category.id}">${category.code} - ${category.name}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group required">
+                                <label>Amount</label>
+                                <input type="number" name="amount" step="0.01" min="0.01" required>
+                            </div>
+                            <div class="form-group required">
+                                <label>Date</label>
+                                <input type="date" name="date" value="${ProjectCalendar.toISODate(new Date())}" required>
+                            </div>
+                        </div>
+                        <div class="form-group required">
+                            <label>Reason</label>
+                            <textarea name="reason" rows="2" required></textarea>
+                            <span class="form-helper-text">
+                                Approved by ${window.authManager.currentUser.email || window.authManager.currentUser.uid}
+                            </span>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" onclick="app.closeModal()" class="btn-secondary">Cancel</button>
+                            <button type="submit" class="btn-primary">Approve Drawdown</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+        modal.style.display = 'block';
+
+        document.addEventListener('keydown', this.handleModalKeyboard);
+
+        document.getElementById('drawdown-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const drawdownId = this.recordDrawdown({
+                contingencyId: formData.get('contingencyId'),
+                categoryId: formData.get('categoryId'),
+                amount: formData.get('amount'),
+                date: formData.get('date'),
+                reason: formData.get('reason')
+            });
+
+            if (drawdownId) {
+                this.closeModal();
+            }
+        });
+    }
+
+    // ============================================================================
+    // RETAINAGE
+    // ============================================================================
+
+    getRetainageSettings() {
+        return { ...DEFAULT_RETAINAGE, ...(this.projectData.retainage || {}) };
+    }
+
+    // Throws on invalid terms; callers show the message
+    updateRetainageSettings(updates) {
+        const settings = { ...this.getRetainageSettings(), ...updates };
+        const errors = validateRetainage(settings);
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+
+        this.projectData.retainage = settings;
+        this.debouncedSave();
+    }
+
+    // A category's own rates win over the project's
+    getCategoryRetainageTerms(category) {
+        const settings = this.getRetainageSettings();
+        const own = category.retainage || {};
+        return {
+            rate: own.rate ?? settings.rate,
+            reducedRate: own.reducedRate ?? settings.reducedRate,
+            reduceAt: own.reduceAt ?? settings.reduceAt
+        };
+    }
+
+    // Month of substantial completion, kept within the projection horizon
+    getRetainageReleaseMonth() {
+        const calendar = this.getCalendar();
+        const month = calendar.indexOf(this.getRetainageSettings().substantialCompletion || this.projectData.info.endDate);
+        return month === null ? calendar.monthCount - 1 : Math.min(Math.max(month, 0), calendar.monthCount - 1);
+    }
+
+    // NEW: Gross cost, cash paid, retainage held back and released, and net
+    // cash for a scenario's projections or actuals, per month across the
+    // horizon, with each category's split in byCategory. Without retainage,
+    // net cash is the gross cost.
+    //
+    // 'combined' takes actuals through the last closed month and projections
+    // after it. Projections step the rate down on planned progress, which is their
+    // cost against budget. Actuals use the percent complete recorded for the
+    // category when there is any, and only release once the release month is
+    // closed or has actuals; until then the balance shows as still held.
+    getRetainageSchedule(scenarioId, source = 'projections') {
+        const scenario = this.projectData.scenarios[scenarioId];
+        const calendar = this.getCalendar();
+        const monthCount = calendar.monthCount;
+        const settings = this.getRetainageSettings();
+        const releaseMonth = this.getRetainageReleaseMonth();
+        const actualsThrough = this.getForecastCutoff();
+        const releaseDue = source !== 'actuals' || this.isPeriodClosed(calendar.monthKey(releaseMonth)) ||
+            Object.values(scenario.actuals || {}).some(months =>
+                Object.keys(months).some(month => Number(month) >= releaseMonth && months[month])
+            );
+        const totals = {};
+        const byCategory = {};
+        ['gross', 'paid', 'retained', 'released', 'net', 'heldBalance'].forEach(key => totals[key] = new Array(monthCount).fill(0));
+
+        this.projectData.budgetCategories.forEach(category => {
+            const monthly = source === 'combined'
+                ? this.getCombinedSpend(scenario, category.id, actualsThrough)
+                : scenario[source]?.[category.id] || {};
+            const split = settings.enabled
+                ? this.calculations.calculateRetainage(
+                    monthly,
+                    this.getScenarioCategory(scenarioId, category).amount,
+                    this.getCategoryRetainageTerms(category),
+                    releaseDue ? releaseMonth : Infinity,
+                    monthCount,
+                    source === 'actuals' && Object.values(this.projectData.progress || {}).some(entries => entries[category.id] !== undefined)
+                        ? Array.from({ length: monthCount }, (_, month) => this.getPercentComplete(category.id, month))
+                        : null
+                )
+                : { paid: monthly, retained: {}, released: {}, net: monthly, held: 0 };
+            byCategory[category.id] = split;
+
+            for (let month = 0; month < monthCount; month++) {
+                totals.gross[month] += monthly[month] || 0;
+                totals.paid[month] += split.paid[month] || 0;
+                totals.retained[month] += split.retained[month] || 0;
+                totals.released[month] += split.released[month] || 0;
+                totals.net[month] += split.net[month] || 0;
+            }
+        });
+
+        let held = 0;
+        for (let month = 0; month < monthCount; month++) {
+            held += totals.retained[month] - totals.released[month];
+            totals.heldBalance[month] = held;
+        }
+        Object.keys(totals).forEach(key => {
+            totals[key] = totals[key].map(value => this.calculations.roundCurrency(value));
+        });
+
+        return { enabled: settings.enabled, releaseMonth: releaseMonth, releaseDue: releaseDue, ...totals, byCategory: byCategory };
+    }
+
+    // Actual spend through actualsThrough, projected spend after it
+    getCombinedSpend(scenario, categoryId, actualsThrough) {
+        const combined = {};
+        Object.entries(scenario.actuals?.[categoryId] || {})
+            .filter(([month]) => Number(month) <= actualsThrough)
+            .forEach(([month, amount]) => combined[month] = amount);
+        Object.entries(scenario.projections?.[categoryId] || {})
+            .filter(([month]) => Number(month) > actualsThrough)
+            .forEach(([month, amount]) => combined[month] = amount);
+        return combined;
+    }
+
+    renderRetainageFields(retainage = null) {
+        const settings = this.getRetainageSettings();
+        return `
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Retainage %</label>
+                    <input type="number" name="retainageRate" value="${retainage?.rate ?? ''}" min="0" max="100" step="0.5"
+                           placeholder="Project: ${settings.rate}%">
+                </div>
+                <div class="form-group">
+                    <label>Reduced %</label>
+                    <input type="number" name="retainageReducedRate" value="${retainage?.reducedRate ?? ''}" min="0" max="100" step="0.5"
+                           placeholder="Project: ${settings.reducedRate}%">
+                </div>
+                <div class="form-group">
+                    <label>Reduce At % Complete</label>
+                    <input type="number" name="retainageReduceAt" value="${retainage?.reduceAt ?? ''}" min="0" max="100" step="1"
+                           placeholder="Project: ${settings.reduceAt}%">
+                </div>
+            </div>
+            <span class="form-helper-text">
+                Leave blank to use the project's retainage terms${settings.enabled ? '' : ' (retainage is off in Settings)'}. Enter 0 for no retainage.
+            </span>
+        `;
+    }
+
+    // Category retainage from the form, or null when every field is blank
+    readRetainageFields(formData) {
+        const read = name => formData.get(name) === '' || formData.get(name) === null ? null : parseFloat(formData.get(name));
+        const retainage = {
+            rate: read('retainageRate'),
+            reducedRate: read('retainageReducedRate'),
+            reduceAt: read('retainageReduceAt')
+        };
+        return Object.values(retainage).every(value => value === null) ? null : retainage;
+    }
+
+    // ============================================================================
+    // FUNDING
+    // ============================================================================
+
+    // Sources in draw order
+    getFundingSources() {
+        return [...(this.projectData.fundingSources || [])].sort((a, b) => a.order - b.order);
+    }
+
+    // NEW: Sources and uses for a scenario: actual spend through the last
+    // closed month, then projected spend. Uses are net cash after retainage,
+    // so funding follows what is actually paid.
+    getFundingSchedule(scenarioId) {
+        const cash = this.getRetainageSchedule(scenarioId, 'combined');
+        const sources = this.getFundingSources();
+        const waterfall = this.calculations.calculateFundingWaterfall(cash.net, sources);
+
+        return {
+            actualsThrough: this.getForecastCutoff(),
+            uses: cash.net,
+            sources: sources,
+            draws: waterfall.draws,
+            remaining: waterfall.remaining,
+            unfunded: waterfall.unfunded,
+            totalCommitted: this.calculations.roundCurrency(sources.reduce((sum, s) => sum + s.commitment, 0)),
+            totalUnfunded: this.calculations.roundCurrency(waterfall.unfunded.reduce((sum, value) => sum + value, 0))
+        };
+    }
+
+    saveFundingSource(data, sourceId = null) {
+        console.log(`${sourceId ? 'Updating' : 'Creating'} funding source: ${data.name}`);
+
+        try {
+            this.projectData.fundingSources = this.projectData.fundingSources || [];
+            const existing = sourceId ? this.projectData.fundingSources.find(s => s.id === sourceId) : null;
+            if (sourceId && !existing) {
+                throw new Error('Funding source not found');
+            }
+
+            const fundingSource = {
+                id: existing?.id ?? Date.now(),
+                name: (data.name || '').trim(),
+                type: data.type,
+                commitment: this.calculations.roundCurrency(parseFloat(data.commitment)),
+                order: parseInt(data.order),
+                notes: (data.notes || '').trim()
+            };
+
+            const validation = validateFundingSource(fundingSource);
+            if (validation.length > 0) {
+                throw new Error(validation.join(', '));
+            }
+
+            if (existing) {
+                Object.assign(existing, fundingSource);
+            } else {
+                this.projectData.fundingSources.push(fundingSource);
+            }
+
+            this.debouncedSave();
+            this.renderFundingSources();
+
+            const schedule = this.getFundingSchedule(this.projectData.currentScenario);
+            if (schedule.totalUnfunded > 0) {
+                showNotification(
+                    `Funding source saved, but $${schedule.totalUnfunded.toLocaleString(undefined, {maximumFractionDigits: 0})} of projected spend is unfunded`,
+                    'warning', 6000
+                );
+            } else {
+                showNotification(`Funding source "${fundingSource.name}" saved`, 'success');
+            }
+            return fundingSource.id;
+        } catch (error) {
+            console.error('Error saving funding source:', error);
+            showNotification('Failed to save funding source: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    deleteFundingSource(sourceId) {
+        const fundingSource = (this.projectData.fundingSources || []).find(s => s.id === sourceId);
+        if (!fundingSource) return;
+
+        if (!confirm(`Delete funding source "${fundingSource.name}"?`)) {
+            return;
+        }
+
+        this.projectData.fundingSources = this.projectData.fundingSources.filter(s => s.id !== sourceId);
+        this.debouncedSave();
+        this.renderFundingSources();
+        showNotification('Funding source deleted', 'success');
+    }
+
+    renderFundingSources() {
+        const container = document.getElementById('funding-source-table-body');
+        if (!container) return;
+
+        const format = value => (value < 0 ? '-$' : '$') + Math.abs(value).toLocaleString(undefined, {maximumFractionDigits: 0});
+        const schedule = this.getFundingSchedule(this.projectData.currentScenario);
+
+        if (schedule.sources.length === 0) {
+            container.innerHTML = `
+                <tr>
+                    <td colspan="7" style="text-align: center; padding: 2rem; color: var(--medium-gray);">
+                        No funding sources yet. Add equity, loans and grants in the order they are drawn.
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        container.innerHTML = schedule.sources.map(fundingSource => {
+            const drawn = fundingSource.commitment - schedule.remaining[fundingSource.id];
+            return `
+                <tr>
+                    <td>${fundingSource.order}</td>
+                    <td>${fundingSource.name}${fundingSource.notes ? `<br><span class="text-sm text-gray-500">${fundingSource.notes}</span>` : ''}</td>
+                    <td>${FUNDING_SOURCE_TYPES[fundingSource.type]}</td>
+                    <td>${format(fundingSource.commitment)}</td>
+                    <td>${format(drawn)}</td>
+                    <td>${format(schedule.remaining[fundingSource.id])}</td>
+                    <td>
+                        <div class="flex gap-1">
+                            <button onclick="app.showFundingSourceModal(${fundingSource.id})" class="btn-icon" title="Edit">✏️</button>
+                            <button onclick="app.deleteFundingSource(${fundingSource.id})" class="btn-icon" title="Delete">🗑️</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('') + (schedule.totalUnfunded > 0 ? `
+            <tr>
+                <td></td>
+                <td colspan="3" class="text-red-600">Unfunded projected spend</td>
+                <td class="text-red-600">${format(schedule.totalUnfunded)}</td>
+                <td colspan="2"></td>
+            </tr>
+        ` : '');
+    }
+
+    showFundingSourceModal(sourceId = null) {
+        const existing = sourceId ? (this.projectData.fundingSources || []).find(s => s.id === sourceId) : null;
+        const fundingSource = existing || {
+            name: '',
+            type: 'equity',
+            commitment: '',
+            order: Math.max(0, ...(this.projectData.fundingSources || []).map(s => s.order)) + 1,
+            notes: ''
+        };
+
+        const modal = document.getElementById('modal-container');
+        if (!modal) return;
+
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3 class="modal-title">${existing ? `Edit ${existing.name}` : 'New Funding Source'}</h3>
+                        <button onclick="app.closeModal()" class="modal-close">×</button>
+                    </div>
+                    <form id="funding-source-form">
+                        <div class="form-row">
+                            <div class="form-group required">
+                                <label>Name</label>
+                                <input type="text" name="name" value="${fundingSource.name}" required>
+                            </div>
+                            <div class="form-group required">
+                                <label>Type</label>
+                                <select name="type" required>
+                                    ${Object.keys(FUNDING_SOURCE_TYPES).map(type => `
+                                        <option value="${type}" ${type === fundingSource.type ? 'selected' : ''}>${FUNDING_SOURCE_TYPES[type]}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group required">
+                                <label>Commitment</label>
+                                <input type="number" name="commitment" value="${fundingSource.commitment}" step="0.01" min="0.01" required>
+                            </div>
+                            <div class="form-group required">
+                                <label>Draw Order</label>
+                                <input type="number" name="order" value="${fundingSource.order}" step="1" min="1" required>
+                                <span class="form-helper-text">
+                                    Lower numbers draw first. Sources with the same number draw pari passu.
+                                </span>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label>Notes</label>
+                            <input type="text" name="notes" value="${fundingSource.notes || ''}">
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" onclick="app.closeModal()" class="btn-secondary">Cancel</button>
+                            <button type="submit" class="btn-primary">${existing ? 'Save Changes' : 'Add Source'}</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+        modal.style.display = 'block';
+
+        document.addEventListener('keydown', this.handleModalKeyboard);
+
+        document.getElementById('funding-source-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const savedId = this.saveFundingSource({
+                name: formData.get('name'),
+                type: formData.get('type'),
+                commitment: formData.get('commitment'),
+                order: formData.get('order'),
+                notes: formData.get('notes')
+            }, existing?.id ?? null);
+
+            if (savedId) {
+                this.closeModal();
+            }
+        });
+    }
+
+    // ============================================================================
+    // FORECAST
+    // ============================================================================
+
+    // Actuals count through the last closed month; -1 when nothing is closed
+    getForecastCutoff() {
+        const monthCount = this.getCalendar().monthCount;
+        const closed = this.getClosedMonths().filter(month => month >= 0 && month < monthCount);
+        return closed.length > 0 ? closed[closed.length - 1] : -1;
+    }
+
+    // NEW: Re-spread one category's remaining budget, or its user-entered
+    // estimate at completion, after the actuals through the forecast cutoff
+    calculateCategoryForecast(scenarioId, category, cutoffMonth = this.getForecastCutoff()) {
+        const scenario = this.projectData.scenarios[scenarioId];
+        const eac = scenario.eacOverrides?.[category.id] ?? this.getScenarioCategory(scenarioId, category).amount;
+        const result = this.calculations.forecastCategory(
+            scenario.projections[category.id],
+            scenario.actuals[category.id],
+            cutoffMonth,
+            eac,
+            this.getCalendar().monthCount
+        );
+
+        scenario.forecast = { ...(scenario.forecast || {}), [category.id]: result.forecast };
+        return result;
+    }
+
+    calculateForecast(scenarioId) {
+        const scenario = this.projectData.scenarios[scenarioId];
+        const cutoffMonth = this.getForecastCutoff();
+
+        this.projectData.budgetCategories.forEach(category => {
+            this.calculateCategoryForecast(scenarioId, category, cutoffMonth);
+        });
+        scenario.forecastAsOf = cutoffMonth >= 0 ? this.getCalendar().monthKey(cutoffMonth) : null;
+    }
+
+    // Locked scenarios keep the forecast they were locked with
+    updateForecasts() {
+        Object.keys(this.projectData.scenarios)
+            .filter(scenarioId => !this.isScenarioLocked(scenarioId))
+            .forEach(scenarioId => this.calculateForecast(scenarioId));
+    }
+
+    // NEW: Per-category forecast figures for a scenario, without storing them
+    getForecastSummary(scenarioId) {
+        const scenario = this.projectData.scenarios[scenarioId];
+        const cutoffMonth = this.getForecastCutoff();
+        const monthCount = this.getCalendar().monthCount;
+
+        return this.projectData.budgetCategories.map(category => {
+            const budget = this.getScenarioCategory(scenarioId, category).amount;
+            const eacOverride = scenario.eacOverrides?.[category.id];
+            const result = this.calculations.forecastCategory(
+                scenario.projections[category.id],
+                scenario.actuals[category.id],
+                cutoffMonth,
+                eacOverride ?? budget,
+                monthCount
+            );
+            return {
+                category: category,
+                budget: budget,
+                eacOverride: eacOverride ?? null,
+                eac: result.eac,
+                actualToDate: result.actualToDate,
+                etc: result.etc,
+                variance: this.calculations.roundCurrency(budget - result.eac)
+            };
+        });
+    }
+
+    // NEW: Set a category's estimate at completion for a scenario, or clear
+    // it (null) to forecast the budget
+    setEstimateAtCompletion(scenarioId, categoryId, amount) {
+        console.log(`Setting EAC - Scenario: ${scenarioId}, Category: ${categoryId}, Amount: ${amount}`);
+
+        try {
+            const scenario = this.projectData.scenarios[scenarioId];
+            const category = this.projectData.budgetCategories.find(c => c.id === categoryId);
+            if (!scenario || !category) {
+                throw new Error('Scenario or category not found');
+            }
+            this.assertScenarioUnlocked(scenarioId);
+
+            const previous = this.getBudgetLevels(category, scenarioId).forecast;
+            const eacOverrides = { ...(scenario.eacOverrides || {}) };
+            if (amount === null || amount === undefined || amount === '') {
+                delete eacOverrides[categoryId];
+            } else {
+                const value = this.calculations.roundCurrency(parseFloat(amount));
+                if (isNaN(value) || value < 0) {
+                    throw new Error('Estimate at completion must be a positive number');
+                }
+                eacOverrides[categoryId] = value;
+            }
+
+            scenario.eacOverrides = eacOverrides;
+            this.calculateForecast(scenarioId);
+            this.recordBudgetRevision(
+                category, 'forecast', previous, this.getBudgetLevels(category, scenarioId).forecast,
+                eacOverrides[categoryId] === undefined ? 'Estimate at completion cleared' : 'Estimate at completion entered',
+                scenarioId
+            );
+            this.debouncedSave();
+            return true;
+        } catch (error) {
+            console.error('Error setting estimate at completion:', error);
+            showNotification('Failed to set estimate at completion: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    // NEW: A category as a scenario sees it. Per-category overrides win over the
+    // scenario-wide method, which wins over the category's own settings.
+    // Categories with predecessors get their start month from those links.
+    // Locked scenarios see the categories as they were when they were locked.
+    getScenarioCategory(scenarioId, category) {
+        const frozen = this.isScenarioLocked(scenarioId) && this.projectData.frozenCategories?.[scenarioId]?.[category.id];
+        if (frozen) {
+            return { ...category, ...JSON.parse(JSON.stringify(frozen)) };
+        }
+
+        const effective = this.applyScenarioOverrides(scenarioId, category);
+
+        if (category.dependencies?.length) {
+            const starts = this.calculations.resolveStartMonths(
+                this.projectData.budgetCategories
+                    .filter(other => String(other.id) !== String(category.id))
+                    .map(other => this.applyScenarioOverrides(scenarioId, other))
+                    .concat(effective)
+            );
+            effective.distributionParams.startMonth = starts[String(category.id)];
+        }
+
+        return effective;
+    }
+
+    applyScenarioOverrides(scenarioId, category) {
+        const scenario = this.projectData.scenarios[scenarioId];
+        const override = scenario?.overrides?.[category.id] || {};
+
+        return {
+            ...category,
+            amount: override.amount ?? category.amount,
+            distributionMethod: override.distributionMethod || scenario?.distributionMethod || category.distributionMethod,
+            distributionParams: {
+                ...category.distributionParams,
+                ...override.distributionParams
+            }
+        };
+    }
+
+    // Ids of every category that starts after this one, directly or through
+    // other links
+    getDependentCategoryIds(categoryId) {
+        const dependents = new Set();
+        const queue = [String(categoryId)];
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            this.projectData.budgetCategories.forEach(category => {
+                const key = String(category.id);
+                if (!dependents.has(key) && (category.dependencies || []).some(link => String(link.predecessorId) === id)) {
+                    dependents.add(key);
+                    queue.push(key);
+                }
+            });
+        }
+
+        dependents.delete(String(categoryId));
+        return this.projectData.budgetCategories
+            .filter(category => dependents.has(String(category.id)))
+            .map(category => category.id);
+    }
+
+    // NEW: Recalculate every category's projections in a single scenario
+    recalculateScenario(scenarioId) {
+        this.assertScenarioUnlocked(scenarioId);
+
+        this.projectData.budgetCategories.forEach(category => {
+            this.calculateScenarioProjection(scenarioId, category);
+        });
+        this.calculateForecast(scenarioId);
+
+        this.reconcileProjections();
+        this.debouncedSave();
+    }
+
+    // NEW: Save scenario settings and overrides, then re-project the scenario
+    updateScenario(scenarioId, updates) {
+        console.log(`Updating scenario: ${scenarioId}`);
+
+        try {
+            const scenario = this.projectData.scenarios[scenarioId];
+            if (!scenario) {
+                throw new Error('Scenario not found');
+            }
+
+            this.assertScenarioUnlocked(scenarioId);
+
+            if (updates.name !== undefined && updates.name.trim() === '') {
+                throw new Error('Scenario name is required');
+            }
+
+            if (updates.isLocked !== undefined || updates.lockedBy !== undefined || updates.lockHistory !== undefined) {
+                throw new Error('Use lockScenario to change the lock');
+            }
+
+            if (scenarioId === 'baseline' && (updates.overrides || updates.distributionMethod)) {
+                throw new Error('The baseline uses the budget categories directly');
+            }
+
+            Object.entries(updates.overrides || {}).forEach(([categoryId, override]) => {
+                const category = this.projectData.budgetCategories.find(c => String(c.id) === String(categoryId));
+                if (!category) {
+                    throw new Error('Category not found');
+                }
+
+                const scenarioMethod = updates.distributionMethod !== undefined
+                    ? updates.distributionMethod
+                    : scenario.distributionMethod;
+                const errors = validateBudgetCategory({
+                    ...category,
+                    ...override,
+                    distributionMethod: override.distributionMethod || scenarioMethod || category.distributionMethod,
+                    distributionParams: { ...category.distributionParams, ...override.distributionParams }
+                }, this.projectData.budgetCategories);
+                if (errors.length > 0) {
+                    throw new Error(`${category.name}: ${errors.join(', ')}`);
+                }
+
+                // getScenarioCategory takes a dependent category's start from
+                // its predecessors, so a start override would be ignored
+                const changed = JSON.stringify(override) !== JSON.stringify(scenario.overrides?.[categoryId]);
+                if (changed && category.dependencies?.length && override.distributionParams?.startMonth !== undefined) {
+                    throw new Error(`${category.name}: start month is set by its predecessors`);
+                }
+            });
+
+            const levels = this.getBudgetLevelSnapshot([scenarioId]);
+            Object.assign(scenario, updates);
+            this.recalculateScenario(scenarioId);
+            this.recordBudgetLevelChanges(levels, 'Scenario overrides saved');
+            this.renderBudgetTable();
+            this.updateProjectSummary();
+            this.loadScenarios();
+            return true;
+        } catch (error) {
+            console.error('Error updating scenario:', error);
+            showNotification('Failed to update scenario: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    // ============================================================================
+    // SCHEDULE WHAT-IFS
+    // ============================================================================
+
+    // NEW: Copy a scenario and move the schedule of some or all categories.
+    // shiftMonths moves start months (negative = earlier); durationPct stretches
+    // (positive) or compresses (negative) durations. The changes are written as
+    // scenario overrides and the new scenario is recalculated.
+    createScheduleScenario({ name, baseScenarioId = 'baseline', categoryIds = null, shiftMonths = 0, durationPct = 0 }) {
+        console.log(`Creating schedule what-if from: ${baseScenarioId}`);
+
+        if (!Number.isInteger(shiftMonths)) {
+            showNotification('Shift must be a whole number of months', 'error');
+            return null;
+        }
+        if (durationPct <= -100) {
+            showNotification('Durations cannot be compressed by 100% or more', 'error');
+            return null;
+        }
+        if (shiftMonths === 0 && durationPct === 0) {
+            showNotification('Enter a shift or a duration change', 'warning');
+            return null;
+        }
+
+        const categories = this.projectData.budgetCategories
+            .filter(category => !categoryIds || categoryIds.includes(String(category.id)));
+        if (categories.length === 0) {
+            showNotification('Select at least one category', 'warning');
+            return null;
+        }
+
+        const scenarioId = this.createScenario(name, baseScenarioId);
+        if (!scenarioId) return null;
+
+        const scenario = this.projectData.scenarios[scenarioId];
+        const overrides = JSON.parse(JSON.stringify(scenario.overrides || {}));
+        let manualNotStretched = 0;
+        let followPredecessors = 0;
+
+        categories.forEach(category => {
+            const effective = this.getScenarioCategory(scenarioId, category);
+            const params = effective.distributionParams;
+            const override = overrides[category.id] || {};
+            const adjusted = effective.distributionMethod === 'manual'
+                ? {
+                    startMonth: Math.max(0, (params.startMonth || 0) + shiftMonths),
+                    manualDistribution: this.shiftDistribution(params.manualDistribution, shiftMonths)
+                }
+                : this.adjustSchedule(params, shiftMonths, durationPct);
+
+            if (effective.distributionMethod === 'manual' && durationPct !== 0) {
+                manualNotStretched++;
+            }
+
+            // Categories with predecessors start where their links put them
+            if (category.dependencies?.length) {
+                delete adjusted.startMonth;
+                if (shiftMonths !== 0) {
+                    followPredecessors++;
+                }
+            }
+
+            override.distributionParams = { ...override.distributionParams, ...adjusted };
+            overrides[category.id] = override;
+        });
+
+        const changes = [];
+        if (shiftMonths !== 0) {
+            changes.push(`start ${shiftMonths > 0 ? '+' : ''}${shiftMonths} month${Math.abs(shiftMonths) === 1 ? '' : 's'}`);
+        }
+        if (durationPct !== 0) {
+            changes.push(`durations ${durationPct > 0 ? '+' : ''}${durationPct}%`);
+        }
+        const description = `Schedule what-if from ${this.projectData.scenarios[baseScenarioId].name}: ` +
+            `${changes.join(', ')} for ${categoryIds ? `${categories.length} ${categories.length === 1 ? 'category' : 'categories'}` : 'all categories'}`;
+
+        if (!this.updateScenario(scenarioId, { description, overrides })) {
+            delete this.projectData.scenarios[scenarioId];
+            this.debouncedSave();
+            this.loadScenarios();
+            return null;
+        }
+
+        showNotification(
+            `Scenario "${name}" created` +
+            (manualNotStretched ? `; ${manualNotStretched} manual spread${manualNotStretched === 1 ? ' was' : 's were'} shifted but not stretched` : '') +
+            (followPredecessors ? `; ${followPredecessors} ${followPredecessors === 1 ? 'category follows its' : 'categories follow their'} predecessors instead of the shift` : ''),
+            followPredecessors ? 'warning' : 'success'
+        );
+        return scenarioId;
+    }
+
+    // New schedule params after a shift and a duration change. Trapezoid ramps
+    // scale with the duration so they still fit inside it.
+    adjustSchedule(params, shiftMonths, durationPct) {
+        const { startMonth = 0, duration = 12 } = params;
+        const factor = 1 + durationPct / 100;
+        const adjusted = {
+            startMonth: Math.max(0, startMonth + shiftMonths),
+            duration: Math.max(1, Math.round(duration * factor))
+        };
+
+        if (params.rampUp !== undefined || params.rampDown !== undefined) {
+            const rampUp = Math.round((params.rampUp ?? 3) * factor);
+            const rampDown = Math.round((params.rampDown ?? 3) * factor);
+            const excess = Math.max(0, rampUp + rampDown - adjusted.duration);
+            adjusted.rampUp = Math.max(0, rampUp - Math.ceil(excess / 2));
+            adjusted.rampDown = Math.max(0, rampDown - Math.floor(excess / 2));
+        }
+
+        return adjusted;
+    }
+
+    // Move every month of a { month: amount } map, merging anything pushed
+    // before month 0 into month 0
+    shiftDistribution(distribution = {}, shiftMonths) {
+        const shifted = {};
+        Object.entries(distribution).forEach(([month, amount]) => {
+            const target = Math.max(0, Number(month) + shiftMonths);
+            shifted[target] = this.calculations.roundCurrency((shifted[target] || 0) + amount);
+        });
+        return shifted;
+    }
+
+    showScheduleWhatIfModal(baseScenarioId = this.projectData.currentScenario, onCreated = null) {
+        const modal = document.getElementById('modal-container');
+        if (!modal) return;
+
+        const scenarios = this.projectData.scenarios;
+        const baseName = scenarios[baseScenarioId]?.name || 'Baseline';
+
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3 class="modal-title">Schedule What-If</h3>
+                        <button onclick="app.closeModal()" class="modal-close">×</button>
+                    </div>
+                    <form id="schedule-whatif-form">
+                        <div class="form-group">
+                            <label>New Scenario Name</label>
+                            <input type="text" name="name" value="${baseName} - schedule what-if" required>
+                        </div>
+                        <div class="form-group">
+                            <label>Based On</label>
+                            <select name="baseScenarioId">
+                                ${Object.keys(scenarios).map(scenarioId => `
+                                    <option value="${scenarioId}" ${scenarioId === baseScenarioId ? 'selected' : ''}>${scenarios[scenarioId].name}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Shift Start (months)</label>
+                                <input type="number" name="shiftMonths" value="0" step="1">
+                                <span class="form-helper-text">Negative moves work earlier</span>
+                            </div>
+                            <div class="form-group">
+                                <label>Duration Change (%)</label>
+                                <input type="number" name="durationPct" value="0" min="-99" step="1">
+                                <span class="form-helper-text">Positive stretches, negative compresses</span>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label>
+                                <input type="checkbox" checked onchange="document.querySelectorAll('#schedule-whatif-form [name=categoryIds]').forEach(box => box.checked = this.checked)">
+                                Categories
+                            </label>
+                            <div class="whatif-categories">
+                                ${this.projectData.budgetCategories.map(category => `
+                                    <label>
+                                        <input type="checkbox" name="categoryIds" value="${category.id}" checked>
+                                        ${category.code} - ${category.name}
+                                    </label>
+                                `).join('')}
+                            </div>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" onclick="app.closeModal()" class="btn-secondary">Cancel</button>
+                            <button type="submit" class="btn-primary">Create Scenario</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+        modal.style.display = 'block';
+        document.addEventListener('keydown', this.handleModalKeyboard);
+
+        document.getElementById('schedule-whatif-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const selected = formData.getAll('categoryIds');
+            const allSelected = selected.length === this.projectData.budgetCategories.length;
+
+            const scenarioId = this.createScheduleScenario({
+                name: formData.get('name'),
+                baseScenarioId: formData.get('baseScenarioId'),
+                categoryIds: allSelected ? null : selected,
+                shiftMonths: parseInt(formData.get('shiftMonths')) || 0,
+                durationPct: parseFloat(formData.get('durationPct')) || 0
+            });
+
+            if (scenarioId) {
+                this.closeModal();
+                if (onCreated) onCreated(scenarioId);
+            }
+        });
+    }
+
+    // ============================================================================
+    // EARNED VALUE
+    // ============================================================================
+
+    // Percent complete recorded for a category as of a month. Progress is
+    // kept by calendar month ('YYYY-MM'), like closedPeriods, so it stays in
+    // its month when the start date moves. Each entry holds until the next
+    // one; nothing recorded yet is 0%.
+    getPercentComplete(categoryId, month = Infinity) {
+        const calendar = this.getCalendar();
+        const recorded = Object.entries(this.projectData.progress || {})
+            .filter(([, entries]) => entries[categoryId] !== undefined)
+            .map(([period, entries]) => ({ month: calendar.indexOf(period), percent: entries[categoryId] }))
+            .filter(entry => entry.month <= month)
+            .sort((a, b) => a.month - b.month);
+        return recorded.length > 0 ? recorded[recorded.length - 1].percent : 0;
+    }
+
+    // NEW: Record a category's percent complete at the end of a month. Months
+    // in closed periods keep the progress they were reported with.
+    recordPercentComplete(categoryId, month, percent) {
+        console.log(`Recording progress - Category: ${categoryId}, Month: ${month}, Percent: ${percent}`);
+
+        try {
+            const calendar = this.getCalendar();
+            const category = this.projectData.budgetCategories.find(c => c.id === categoryId);
+            if (!category) {
+                throw new Error('Category not found');
+            }
+            if (!Number.isInteger(month) || month < 0 || month >= calendar.monthCount) {
+                throw new Error('Month is outside the project horizon');
+            }
+            const period = calendar.monthKey(month);
+            this.assertPeriodOpen(period);
+
+            const progress = { ...(this.projectData.progress || {}) };
+            const entries = { ...(progress[period] || {}) };
+            if (percent === null || percent === undefined || percent === '') {
+                delete entries[categoryId];
+            } else {
+                const value = parseFloat(percent);
+                if (isNaN(value) || value < 0 || value > 100) {
+                    throw new Error('Percent complete must be between 0 and 100');
+                }
+                entries[categoryId] = Math.round(value * 10) / 10;
+            }
+
+            if (Object.keys(entries).length > 0) {
+                progress[period] = entries;
+            } else {
+                delete progress[period];
+            }
+            this.projectData.progress = progress;
+            this.debouncedSave();
+            return true;
+        } catch (error) {
+            console.error('Error recording percent complete:', error);
+            showNotification('Failed to record percent complete: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    // The latest month with actuals or recorded progress, or -1 before any
+    // work is reported
+    getEarnedValueStatusMonth(scenarioId) {
+        const scenario = this.projectData.scenarios[scenarioId];
+        const monthCount = this.getCalendar().monthCount;
+        const months = [
+            ...Object.values(scenario?.actuals || {}).flatMap(actuals =>
+                Object.keys(actuals).filter(month => actuals[month])),
+            ...Object.keys(this.projectData.progress || {}).map(period => this.getCalendar().indexOf(period))
+        ].map(Number).filter(month => month < monthCount);
+
+        return months.length > 0 ? Math.max(...months) : -1;
+    }
+
+    // NEW: Earned value per category and for the whole project as of a month.
+    // Budget at completion is the scenario's current budget. The project's
+    // estimate at completion is the sum of the category estimates.
+    getEarnedValue(scenarioId, month = this.getEarnedValueStatusMonth(scenarioId)) {
+        const scenario = this.projectData.scenarios[scenarioId];
+        const engine = this.calculations;
+        const sumThrough = (monthly = {}) => Object.keys(monthly)
+            .filter(m => Number(m) <= month)
+            .reduce((sum, m) => sum + (monthly[m] || 0), 0);
+
+        const categories = this.projectData.budgetCategories.map(category => {
+            const budget = this.getScenarioCategory(scenarioId, category).amount;
+            const percentComplete = this.getPercentComplete(category.id, month);
+            return {
+                category: category,
+                percentComplete: percentComplete,
+                ...engine.earnedValue({
+                    budget: budget,
+                    planned: sumThrough(scenario.projections[category.id]),
+                    actual: sumThrough(scenario.actuals[category.id]),
+                    earned: budget * percentComplete / 100
+                })
+            };
+        });
+
+        const total = key => categories.reduce((sum, row) => sum + row[key], 0);
+        const project = engine.earnedValue({
+            budget: total('budget'),
+            planned: total('planned'),
+            actual: total('actual'),
+            earned: total('earned')
+        });
+        project.eac = engine.roundCurrency(total('eac'));
+        project.etc = engine.roundCurrency(total('etc'));
+        project.vac = engine.roundCurrency(project.budget - project.eac);
+        project.percentComplete = project.budget > 0 ? project.earned / project.budget * 100 : 0;
+
+        return { month: month, categories: categories, project: project };
+    }
+
+    // Project earned value at the end of every month up to the status month
+    getEarnedValueTrend(scenarioId) {
+        const statusMonth = this.getEarnedValueStatusMonth(scenarioId);
+        const trend = [];
+        for (let month = 0; month <= statusMonth; month++) {
+            trend.push({ month: month, ...this.getEarnedValue(scenarioId, month).project });
+        }
+        return trend;
+    }
+
+    // Band a performance index against EARNED_VALUE_THRESHOLDS
+    getPerformanceBand(index) {
+        if (index === null || index === undefined) return 'none';
+        if (index >= EARNED_VALUE_THRESHOLDS.onTrack) return 'good';
+        return index >= EARNED_VALUE_THRESHOLDS.watch ? 'watch' : 'poor';
+    }
+
+    // ============================================================================
+    // SCENARIO COMPARISON
+    // ============================================================================
+
+    // Monthly projected spend for one scenario across the project horizon
+    getScenarioMonthlyTotals(scenarioId) {
+        const scenario = this.projectData.scenarios[scenarioId];
+        const monthCount = this.getCalendar().monthCount;
+        const monthly = new Array(monthCount).fill(0);
+
+        this.projectData.budgetCategories.forEach(category => {
+            const projections = scenario?.projections?.[category.id] || {};
+            for (let month = 0; month < monthCount; month++) {
+                monthly[month] += projections[month] || 0;
+            }
+        });
+
+        return monthly.map(value => this.calculations.roundCurrency(value));
+    }
+
+    // NEW: Month-by-month comparison of several scenarios. The first id is the
+    // reference every other scenario's deltas are measured against.
+    compareScenarios(scenarioIds) {
+        const calendar = this.getCalendar();
+        const months = Array.from({ length: calendar.monthCount }, (_, month) => calendar.formatMonth(month));
+
+        const scenarios = scenarioIds
+            .filter(scenarioId => this.projectData.scenarios[scenarioId])
+            .map(scenarioId => {
+                const monthly = this.getScenarioMonthlyTotals(scenarioId);
+                let running = 0;
+                const cumulative = monthly.map(value => this.calculations.roundCurrency(running += value));
+                const peakCash = Math.max(0, ...monthly);
+
+                return {
+                    id: scenarioId,
+                    name: this.projectData.scenarios[scenarioId].name,
+                    monthly: monthly,
+                    cumulative: cumulative,
+                    total: cumulative[cumulative.length - 1] || 0,
+                    peakMonth: peakCash > 0 ? monthly.indexOf(peakCash) : null,
+                    peakCash: peakCash
+                };
+            });
+
+        const reference = scenarios[0];
+        scenarios.forEach(scenario => {
+            scenario.monthlyDelta = scenario.monthly.map((value, month) =>
+                this.calculations.roundCurrency(value - reference.monthly[month]));
+            scenario.cumulativeDelta = scenario.cumulative.map((value, month) =>
+                this.calculations.roundCurrency(value - reference.cumulative[month]));
+        });
+
+        return { months, scenarios };
+    }
+
+    // ============================================================================
+    // RISK SIMULATION
+    // ============================================================================
+
+    // Effective categories of a scenario, with their uncertainty ranges
+    getEffectiveCategories(scenarioId) {
+        return this.projectData.budgetCategories.map(category => ({
+            ...this.getScenarioCategory(scenarioId, category),
+            uncertainty: category.uncertainty || {}
+        }));
+    }
+
+    // NEW: Run a Monte Carlo simulation of the current scenario in a Web Worker.
+    // Resolves with the percentile bands, which are also kept in this.simulation
+    // for the chart and exports.
+    runSimulation(trials = 5000, onProgress = null) {
+        const scenarioId = this.projectData.currentScenario;
+        const projectId = this.currentProjectId;
+        const worker = createSimulationWorker();
+
+        return new Promise((resolve, reject) => {
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message.completed, message.trials);
+                    return;
+                }
+
+                worker.terminate();
+                if (message.type === 'error') {
+                    reject(new Error(message.message));
+                    return;
+                }
+
+                this.simulation = {
+                    ...message.result,
+                    projectId: projectId,
+                    scenarioId: scenarioId,
+                    runAt: new Date().toISOString()
+                };
+                resolve(this.simulation);
+            };
+
+            worker.onerror = (error) => {
+                worker.terminate();
+                reject(new Error(error.message || 'Simulation failed'));
+            };
+
+            worker.postMessage({
+                categories: this.getEffectiveCategories(scenarioId),
+                maxMonths: this.getCalendar().monthCount,
+                trials: trials,
+                seed: Date.now() >>> 0,
+                currency: getSystemSettings().currencyFormat,
+                percentiles: SIMULATION_PERCENTILES
+            });
+        });
+    }
+
+    // NEW: Tornado analysis of a scenario; see CalculationEngine.runSensitivity
+    runSensitivityAnalysis(scenarioId, options = {}) {
+        return this.calculations.runSensitivity(this.getEffectiveCategories(scenarioId), {
+            ...options,
+            maxMonths: this.getCalendar().monthCount
+        });
+    }
+
+    // Results only apply to the project and scenario they were run for
+    getSimulationResult() {
+        const simulation = this.simulation;
+        if (!simulation || simulation.projectId !== this.currentProjectId ||
+            simulation.scenarioId !== this.projectData.currentScenario) {
+            return null;
+        }
+        return simulation;
+    }
+
+    showSimulationModal() {
+        const modal = document.getElementById('modal-container');
+        if (!modal) return;
+
+        if (this.projectData.budgetCategories.length === 0) {
+            showNotification('Add budget categories before running a simulation', 'warning');
+            return;
+        }
+
+        const rangeInput = (category, field, min, max, step) => `
+            <input type="number" name="${field}-${category.id}" value="${category.uncertainty?.[field] || 0}"
+                   min="${min}" ${max !== null ? `max="${max}"` : ''} step="${step}" class="w-full">
+        `;
+
+        const rowsHtml = this.projectData.budgetCategories.map(category => `
+            <tr>
+                <td>${category.code} - ${category.name}</td>
+                <td>${rangeInput(category, 'amountLowPct', -100, 0, 1)}</td>
+                <td>${rangeInput(category, 'amountHighPct', 0, null, 1)}</td>
+                <td>${rangeInput(category, 'startEarlyMonths', 0, null, 1)}</td>
+                <td>${rangeInput(category, 'startLateMonths', 0, null, 1)}</td>
+                <td>${rangeInput(category, 'durationShortMonths', 0, null, 1)}</td>
+                <td>${rangeInput(category, 'durationLongMonths', 0, null, 1)}</td>
+            </tr>
+        `).join('');
+
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content simulation-modal">
+                    <div class="modal-header">
+                        <h3 class="modal-title">Risk Simulation</h3>
+                        <button onclick="app.closeModal()" class="modal-close">×</button>
+                    </div>
+                    <p class="text-sm mb-4">
+                        Enter how far each category could move from plan in
+                        <strong>${this.projectData.scenarios[this.projectData.currentScenario].name}</strong>.
+                        Each trial draws from a triangular distribution peaking at the plan.
+                    </p>
+                    <form id="simulation-form">
+                        <div class="simulation-table-container">
+                            <table class="simulation-table">
+                                <thead>
+                                    <tr>
+                                        <th rowspan="2">Category</th>
+                                        <th colspan="2">Amount (%)</th>
+                                        <th colspan="2">Start (months)</th>
+                                        <th colspan="2">Duration (months)</th>
+                                    </tr>
+                                    <tr>
+                                        <th>Low</th><th>High</th>
+                                        <th>Earlier</th><th>Later</th>
+                                        <th>Shorter</th><th>Longer</th>
+                                    </tr>
+                                </thead>
+                                <tbody>${rowsHtml}</tbody>
+                            </table>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Trials</label>
+                                <input type="number" name="trials" value="${this.simulation?.trials || 5000}" min="100" max="50000" step="100" required>
+                            </div>
+                        </div>
+                        <div id="simulation-status" class="text-sm text-gray-500 mb-2"></div>
+                        <div id="simulation-results">${this.renderSimulationSummary()}</div>
+                        <div class="form-actions">
+                            <button type="button" onclick="app.closeModal()" class="btn-secondary">Close</button>
+                            <button type="button" onclick="app.exportSimulationCSV()" class="btn-secondary">Export Percentiles</button>
+                            <button type="submit" class="btn-primary">Run Simulation</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+        modal.style.display = 'block';
+        document.addEventListener('keydown', this.handleModalKeyboard);
+
+        document.getElementById('simulation-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const status = document.getElementById('simulation-status');
+            const button = e.target.querySelector('[type="submit"]');
+
+            try {
+                this.saveUncertaintyRanges(formData);
+
+                const trials = parseInt(formData.get('trials'));
+                if (!Number.isInteger(trials) || trials < 100 || trials > 50000) {
+                    throw new Error('Trials must be between 100 and 50,000');
+                }
+
+                setButtonLoading(button, true);
+                await this.runSimulation(trials, (completed, total) => {
+                    status.textContent = `Running... ${Math.round(completed / total * 100)}%`;
+                });
+
+                status.textContent = '';
+                document.getElementById('simulation-results').innerHTML = this.renderSimulationSummary();
+                this.visualization.renderCashflowChart('cashflow-chart', this.projectData);
+                showNotification('Simulation complete', 'success');
+            } catch (error) {
+                console.error('Error running simulation:', error);
+                status.textContent = '';
+                showNotification('Simulation failed: ' + error.message, 'error');
+            } finally {
+                setButtonLoading(button, false);
+            }
+        });
+    }
+
+    // Store each category's ranges from the simulation form
+    saveUncertaintyRanges(formData) {
+        const fields = ['amountLowPct', 'amountHighPct', 'startEarlyMonths', 'startLateMonths',
+            'durationShortMonths', 'durationLongMonths'];
+        const updates = this.projectData.budgetCategories.map(category => {
+            const ranges = {};
+            fields.forEach(field => {
+                ranges[field] = parseFloat(formData.get(`${field}-${category.id}`)) || 0;
+            });
+
+            const errors = validateUncertaintyRanges(ranges);
+            if (errors.length > 0) {
+                throw new Error(`${category.name}: ${errors.join(', ')}`);
+            }
+            return [category, ranges];
+        });
+
+        updates.forEach(([category, ranges]) => {
+            category.uncertainty = ranges;
+        });
+        this.debouncedSave();
+    }
+
+    renderSimulationSummary() {
+        const simulation = this.getSimulationResult();
+        if (!simulation) return '';
+
+        const formatMoney = (value) => '$' + value.toLocaleString(undefined, { maximumFractionDigits: 0 });
+        return `
+            <div class="simulation-summary">
+                <strong>Total cost</strong> (${simulation.trials.toLocaleString()} trials, seed ${simulation.seed})
+                <div class="flex gap-4 mt-1">
+                    ${simulation.percentiles.map(p => `<span>P${p}: ${formatMoney(simulation.total[p])}</span>`).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // NEW: Monthly and cumulative percentile tables as CSV
+    exportSimulationCSV() {
+        const simulation = this.getSimulationResult();
+        if (!simulation) {
+            showNotification('Run a simulation first', 'warning');
+            return;
+        }
+
+        const calendar = this.getCalendar();
+        const percentiles = simulation.percentiles;
+        const header = [
+            'Month',
+            ...percentiles.map(p => `Monthly P${p}`),
+            ...percentiles.map(p => `Cumulative P${p}`)
+        ];
+        const rows = [header];
+
+        for (let month = 0; month < calendar.monthCount; month++) {
+            rows.push([
+                calendar.formatMonth(month, { month: 'short', year: 'numeric' }),
+                ...percentiles.map(p => simulation.monthly[p][month]),
+                ...percentiles.map(p => simulation.cumulative[p][month])
+            ]);
+        }
+        rows.push([]);
+        rows.push(['Trials', simulation.trials]);
+        rows.push(['Seed', simulation.seed]);
+        rows.push(['Scenario', `"${(this.projectData.scenarios[simulation.scenarioId]?.name || simulation.scenarioId).replace(/"/g, '""')}"`]);
+
+        const csv = rows.map(row => row.join(',')).join('\n');
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `simulation-${this.projectData.info.name}-${new Date().toISOString().split('T')[0]}.csv`;
+        link.click();
+
+        showNotification('Percentile tables exported', 'success');
+    }
+
+    // ============================================================================
+    // SCENARIO LOCKING
+    // ============================================================================
+
+    isScenarioLocked(scenarioId) {
+        return !!this.projectData.scenarios[scenarioId]?.isLocked;
+    }
+
+    getLockedScenarioIds() {
+        return Object.keys(this.projectData.scenarios).filter(scenarioId => this.isScenarioLocked(scenarioId));
+    }
+
+    assertScenarioUnlocked(scenarioId) {
+        if (this.isScenarioLocked(scenarioId)) {
+            throw new Error(`Scenario "${this.projectData.scenarios[scenarioId].name}" is locked`);
+        }
+    }
+
+    // The budget categories are the baseline's own settings, so they cannot
+    // change while the baseline is locked. Every other locked scenario keeps
+    // the categories it saw in projectData.frozenCategories; call this before
+    // changing any category's budget or schedule.
+    prepareCategoryChange() {
+        this.assertScenarioUnlocked('baseline');
+        this.freezeLockedScenarios();
+    }
+
+    // Scenarios locked before snapshots were kept are frozen the first time
+    // the categories change. Like a lock, only the owner or a super admin
+    // may write that first snapshot.
+    freezeLockedScenarios() {
+        const frozen = this.projectData.frozenCategories = this.projectData.frozenCategories || {};
+        const unfrozen = this.getLockedScenarioIds().filter(scenarioId => !frozen[scenarioId]);
+        if (unfrozen.length > 0 && !this.canManageScenarioLocks()) {
+            throw new Error(`Locked scenario "${this.projectData.scenarios[unfrozen[0]].name}" has no category snapshot yet; the project owner or a super admin must make the next budget change`);
+        }
+
+        unfrozen.forEach(scenarioId => {
+            frozen[scenarioId] = this.snapshotScenarioCategories(scenarioId);
+        });
+    }
+
+    snapshotScenarioCategories(scenarioId) {
+        const snapshot = {};
+        this.projectData.budgetCategories.forEach(category => {
+            const effective = this.getScenarioCategory(scenarioId, category);
+            snapshot[category.id] = {
+                amount: effective.amount,
+                distributionMethod: effective.distributionMethod,
+                distributionParams: JSON.parse(JSON.stringify(effective.distributionParams || {}))
+            };
+        });
+        return snapshot;
+    }
+
+    // Super admins and the project's creator may lock or unlock scenarios
+    canManageScenarioLocks() {
+        const user = window.authManager?.currentUser;
+        if (!user) return false;
+
+        const project = this.projects[this.currentProjectId];
+        return window.authManager.isSuperAdmin() || project?.createdBy === user.uid;
+    }
+
+    // NEW: Lock or unlock a scenario, recording who did it and when
+    setScenarioLock(scenarioId, locked, reason = '') {
+        console.log(`${locked ? 'Locking' : 'Unlocking'} scenario: ${scenarioId}`);
+
+        try {
+            const scenario = this.projectData.scenarios[scenarioId];
+            if (!scenario) {
+                throw new Error('Scenario not found');
+            }
+
+            if (!this.canManageScenarioLocks()) {
+                throw new Error('Only super admins or the project owner can lock scenarios');
+            }
+
+            if (!!scenario.isLocked === locked) {
+                return true;
+            }
+
+            const user = window.authManager.currentUser;
+            const entry = {
+                action: locked ? 'locked' : 'unlocked',
+                userId: user.uid,
+                userEmail: user.email || null,
+                at: new Date().toISOString(),
+                reason: reason || null
+            };
+
+            const frozen = this.projectData.frozenCategories = this.projectData.frozenCategories || {};
+            if (locked) {
+                frozen[scenarioId] = this.snapshotScenarioCategories(scenarioId);
+                // A locked scenario keeps its closed months itself, so it still
+                // has them if a period is reopened while it is locked
+                scenario.transactions = JSON.parse(JSON.stringify(this.getScenarioTransactions(scenarioId)));
+            } else {
+                delete frozen[scenarioId];
+            }
+
+            scenario.isLocked = locked;
+            scenario.lockedBy = locked ? entry.userId : null;
+            scenario.lockedByEmail = locked ? entry.userEmail : null;
+            scenario.lockedAt = locked ? entry.at : null;
+            scenario.lockHistory = [...(scenario.lockHistory || []), entry];
+            this.projectData.lockedScenarios = this.getLockedScenarioIds();
+            if (!locked) {
+                this.removeClosedTransactions(scenario);
+            }
+
+            this.debouncedSave();
+            this.loadScenarios();
+
+            showNotification(`Scenario "${scenario.name}" ${entry.action}`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Error changing scenario lock:', error);
+            showNotification('Failed to change scenario lock: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    lockScenario(scenarioId, reason) {
+        return this.setScenarioLock(scenarioId, true, reason);
+    }
+
+    unlockScenario(scenarioId, reason) {
+        return this.setScenarioLock(scenarioId, false, reason);
+    }
+
+    deleteScenario(scenarioId) {
+        console.log(`Deleting scenario: ${scenarioId}`);
+
+        try {
+            if (scenarioId === 'baseline') {
+                throw new Error('Cannot delete baseline scenario');
+            }
+
+            if (!this.projectData.scenarios[scenarioId]) {
+                throw new Error('Scenario not found');
+            }
+
+            this.assertScenarioUnlocked(scenarioId);
+
+            delete this.projectData.scenarios[scenarioId];
+            if (this.projectData.currentScenario === scenarioId) {
+                this.projectData.currentScenario = 'baseline';
+            }
+
+            this.reconcileProjections();
+            this.debouncedSave();
+            this.loadScenarios();
+            this.renderBudgetTable();
+            this.updateProjectSummary();
+            return true;
+        } catch (error) {
+            console.error('Error deleting scenario:', error);
+            showNotification('Failed to delete scenario: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    // ============================================================================
+    // BASELINE PROMOTION
+    // ============================================================================
+
+    // NEW: Make an approved scenario the official baseline. The previous baseline
+    // is archived as a locked scenario that keeps its own budgets and curves, and
+    // every promotion is appended to projectData.baselineHistory.
+    promoteScenarioToBaseline(scenarioId, note = '') {
+        console.log(`Promoting scenario to baseline: ${scenarioId}`);
+
+        try {
+            const scenarios = this.projectData.scenarios;
+            const source = scenarios[scenarioId];
+            if (!source) {
+                throw new Error('Scenario not found');
+            }
+            if (scenarioId === 'baseline') {
+                throw new Error('This scenario is already the baseline');
+            }
+            if (!this.canManageScenarioLocks()) {
+                throw new Error('Only super admins or the project owner can promote a scenario');
+            }
+
+            const user = window.authManager.currentUser;
+            const now = new Date();
+            const promotedAt = now.toISOString();
+            const oldBaseline = scenarios.baseline;
+
+            // Locked scenarios keep the categories they see now; the archive
+            // keeps the outgoing baseline's
+            this.freezeLockedScenarios();
+            const frozen = this.projectData.frozenCategories;
+            const baselineCategories = frozen.baseline || this.snapshotScenarioCategories('baseline');
+            const archiveId = this.archiveBaseline(oldBaseline, now, user, source.name);
+            frozen[archiveId] = baselineCategories;
+            delete frozen.baseline;
+
+            // Freeze the promoted scenario's effective categories into the budget
+            this.projectData.budgetCategories = this.projectData.budgetCategories.map(category => {
+                const effective = this.getScenarioCategory(scenarioId, category);
+                const budget = this.getCategoryBudget(category);
+                const promoted = {
+                    ...category,
+                    amount: effective.amount,
+                    originalAmount: this.calculations.roundCurrency(effective.amount - (budget.current - budget.original)),
+                    distributionMethod: effective.distributionMethod,
+                    distributionParams: JSON.parse(JSON.stringify(effective.distributionParams))
+                };
+                const reason = `Scenario "${source.name}" promoted to baseline`;
+                this.recordBudgetRevision(promoted, 'original', category.originalAmount ?? category.amount, promoted.originalAmount, reason);
+                this.recordBudgetRevision(promoted, 'current', category.amount, promoted.amount, reason);
+                return promoted;
+            });
+
+            scenarios.baseline = {
+                name: 'Baseline',
+                description: source.description || '',
+                projections: JSON.parse(JSON.stringify(source.projections)),
+                actuals: this.mergeActuals(oldBaseline.actuals, source.actuals),
+                transactions: this.mergeTransactions(oldBaseline.transactions, source.transactions),
+                eacOverrides: { ...(source.eacOverrides || {}) },
+                isLocked: false,
+                lockHistory: oldBaseline.isLocked ? [
+                    ...(oldBaseline.lockHistory || []),
+                    {
+                        action: 'unlocked',
+                        userId: user.uid,
+                        userEmail: user.email || null,
+                        at: promotedAt,
+                        reason: `Replaced when "${source.name}" was promoted to baseline`
+                    }
+                ] : [],
+                promotedFrom: {
+                    scenarioId: scenarioId,
+                    scenarioName: source.name,
+                    promotedAt: promotedAt,
+                    promotedBy: user.uid,
+                    promotedByEmail: user.email || null
+                }
+            };
+
+            this.projectData.baselineHistory = [
+                ...(this.projectData.baselineHistory || []),
+                {
+                    ...scenarios.baseline.promotedFrom,
+                    archivedScenarioId: archiveId,
+                    note: note || null
+                }
+            ];
+            this.projectData.lockedScenarios = this.getLockedScenarioIds();
+            this.projectData.currentScenario = 'baseline';
+
+            this.calculateForecast('baseline');
+
+            // Other open what-ifs inherit the new budget where they had no override
+            Object.keys(scenarios)
+                .filter(id => id !== 'baseline' && !this.isScenarioLocked(id))
+                .forEach(id => this.recalculateScenario(id));
+
+            this.reconcileProjections();
+            this.debouncedSave();
+            this.loadScenarios();
+            this.renderBudgetTable();
+            this.updateProjectSummary();
+
+            showNotification(`"${source.name}" is now the baseline`, 'success');
+            return archiveId;
+        } catch (error) {
+            console.error('Error promoting scenario:', error);
+            showNotification('Failed to promote scenario: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    // Copy the baseline into a dated, locked scenario. The current category
+    // settings are stored as overrides so the archive still reconciles after
+    // the categories change.
+    archiveBaseline(baseline, date, user, replacedBy) {
+        const dateKey = ProjectCalendar.toISODate(date);
+        let archiveId = `baseline_${dateKey.replace(/-/g, '')}`;
+        for (let n = 2; this.projectData.scenarios[archiveId]; n++) {
+            archiveId = `baseline_${dateKey.replace(/-/g, '')}_${n}`;
+        }
+
+        const overrides = {};
+        this.projectData.budgetCategories.forEach(category => {
+            overrides[category.id] = {
+                amount: category.amount,
+                distributionMethod: category.distributionMethod,
+                distributionParams: JSON.parse(JSON.stringify(category.distributionParams || {}))
+            };
+        });
+
+        const lockEntry = {
+            action: 'locked',
+            userId: user.uid,
+            userEmail: user.email || null,
+            at: date.toISOString(),
+            reason: `Archived when "${replacedBy}" was promoted to baseline`
+        };
+
+        this.projectData.scenarios[archiveId] = {
+            ...JSON.parse(JSON.stringify(baseline)),
+            transactions: JSON.parse(JSON.stringify(this.getScenarioTransactions('baseline'))),
+            name: `Baseline (archived ${dateKey})`,
+            distributionMethod: null,
+            actualsBase: 'baseline',
+            overrides: overrides,
+            archivedAt: lockEntry.at,
+            isLocked: true,
+            lockedBy: lockEntry.userId,
+            lockedByEmail: lockEntry.userEmail,
+            lockedAt: lockEntry.at,
+            lockHistory: [...(baseline.lockHistory || []), lockEntry]
+        };
+
+        return archiveId;
+    }
+
+    // Actual spend is recorded against whichever scenario was current at the
+    // time. The outgoing baseline's entries win; months only recorded on the
+    // promoted scenario are carried over.
+    mergeActuals(baselineActuals = {}, scenarioActuals = {}) {
+        const merged = JSON.parse(JSON.stringify(scenarioActuals));
+        Object.entries(baselineActuals).forEach(([categoryId, months]) => {
+            merged[categoryId] = { ...(merged[categoryId] || {}), ...months };
+        });
+        return merged;
+    }
+
+    // Same rule for the transactions behind those totals: a month the baseline
+    // has entries for keeps only the baseline's entries
+    mergeTransactions(baselineTransactions = {}, scenarioTransactions = {}) {
+        const calendar = this.getCalendar();
+        const merged = JSON.parse(JSON.stringify(baselineTransactions));
+        Object.entries(scenarioTransactions).forEach(([categoryId, transactions]) => {
+            const baselineMonths = new Set((merged[categoryId] || []).map(t => calendar.indexOf(t.invoiceDate)));
+            merged[categoryId] = [
+                ...(merged[categoryId] || []),
+                ...JSON.parse(JSON.stringify(transactions.filter(t => !baselineMonths.has(calendar.indexOf(t.invoiceDate)))))
+            ];
+        });
+        return merged;
+    }
+
+    // NEW: Apply one distribution method to every category. Refused while the
+    // current scenario is locked, since it would rewrite what the user is viewing.
+    updateGlobalMethod(method) {
+        try {
+            this.assertScenarioUnlocked(this.projectData.currentScenario);
+
+            this.projectData.budgetCategories.forEach(category => {
+                this.updateBudgetCategory(category.id, {
+                    distributionMethod: method
+                });
+            });
+
+            const skipped = this.getLockedScenarioIds().length;
+            showNotification(
+                `Global method updated to ${this.formatDistributionMethod(method)}` +
+                (skipped ? ` (${skipped} locked scenario${skipped === 1 ? '' : 's'} unchanged)` : ''),
+                'success'
+            );
+            return true;
+        } catch (error) {
+            console.error('Error updating global method:', error);
+            showNotification('Failed to update global method: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    recalculateBaseline() {
+        console.log('Recalculating baseline projections...');
+        
+        if (this.isScenarioLocked('baseline')) {
+            showNotification('The baseline scenario is locked and cannot be recalculated', 'error');
+            return;
+        }
+
+        if (!confirm('This will recalculate all projections based on current settings. Continue?')) {
+            return;
+        }
+
+        showLoading('Recalculating projections...');
+        
+        try {
+            this.projectData.budgetCategories.forEach(category => {
+                this.calculateProjections(category.id);
+            });
+            
+            this.renderBudgetTable();
+            this.updateProjectSummary();
+            
+            hideLoading();
+            showNotification('Baseline recalculated successfully', 'success');
+        } catch (error) {
+            console.error('Error recalculating baseline:', error);
+            hideLoading();
+            showNotification('Failed to recalculate baseline: ' + error.message, 'error');
+        }
+    }
+
+    // NEW: Compare each category's projection total to its budget in every
+    // scenario. Results are kept in memory and drive the budget table flags.
+    reconcileProjections() {
+        const maxMonths = this.getCalendar().monthCount;
+        this.reconciliation = {};
+
+        Object.keys(this.projectData.scenarios).forEach(scenarioId => {
+            const scenario = this.projectData.scenarios[scenarioId];
+            this.reconciliation[scenarioId] = {};
+
+            this.projectData.budgetCategories.forEach(category => {
+                const issue = this.calculations.reconcileCategory(
+                    this.getScenarioCategory(scenarioId, category),
+                    scenario.projections[category.id],
+                    maxMonths
+                );
+                if (issue) {
+                    this.reconciliation[scenarioId][category.id] = issue;
+                }
+            });
+        });
+
+        return this.reconciliation;
+    }
+
+    getReconciliationIssues(scenarioId = this.projectData.currentScenario) {
+        return this.reconciliation[scenarioId] || {};
+    }
+
+    formatReconciliationReason(reason) {
+        const reasons = {
+            'truncated': 'Runs past the project horizon',
+            'manual': 'Manual spread does not sum to budget',
+            'rounding': 'Rounding difference',
+            'stale': 'Projections are out of date'
+        };
+        return reasons[reason] || reason;
+    }
+
+    // NEW: List reconciliation issues for one category, or all of them, with fixes
+    showReconciliationModal(categoryId = null) {
+        const modal = document.getElementById('modal-container');
+        if (!modal) return;
+
+        const scenarioId = this.projectData.currentScenario;
+        const issues = Object.values(this.getReconciliationIssues(scenarioId))
+            .filter(issue => categoryId === null || issue.categoryId === categoryId);
+
+        if (issues.length === 0) {
+            showNotification('All categories reconcile with their budgets', 'success');
+            return;
+        }
+
+        const horizon = this.getCalendar().monthCount;
+        const formatMoney = (value) => '$' + value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+        const issuesHtml = issues.map(issue => {
+            const category = this.projectData.budgetCategories.find(c => c.id === issue.categoryId);
+            const { startMonth = 0, duration = 12 } = this.getScenarioCategory(scenarioId, category).distributionParams;
+            const actions = [];
+
+            switch (issue.reason) {
+                case 'truncated':
+                    actions.push(['fit-horizon', `Fit within ${horizon} months`]);
+                    if (startMonth + duration <= MAX_HORIZON_MONTHS) {
+                        actions.push(['extend-horizon', `Extend horizon to ${startMonth + duration} months`]);
+                    }
+                    break;
+                case 'manual':
+                    actions.push(['scale-manual', 'Scale spread to budget']);
+                    actions.push(['use-manual-total', 'Set budget to spread total']);
+                    break;
+                case 'rounding':
+                    actions.push(['absorb-remainder', 'Add difference to last month']);
+                    break;
+                default:
+                    actions.push(['recalculate', 'Recalculate projections']);
+            }
+
+            return `
+                <div class="reconciliation-item">
+                    <div class="flex justify-between">
+                        <strong>${category.code} - ${category.name}</strong>
+                        <span class="text-red-600">${issue.difference > 0 ? '' : '-'}${formatMoney(Math.abs(issue.difference))}</span>
+                    </div>
+                    <div class="text-sm text-gray-500 mb-2">
+                        ${this.formatReconciliationReason(issue.reason)} &mdash;
+                        budget ${formatMoney(issue.budget)}, projected ${formatMoney(issue.projected)}
+                    </div>
+                    <div class="flex gap-1">
+                        ${actions.map(([action, label]) => `
+                            <button type="button" class="btn-secondary btn-small"
+                                    onclick="app.fixReconciliation(${issue.categoryId}, '${action}')">
+                                ${label}
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        modal.innerHTML = `
+            <div class="modal-overlay">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3 class="modal-title">Budget Reconciliation</h3>
+                        <button onclick="app.closeModal()" class="modal-close">×</button>
+                    </div>
+                    <p class="text-sm mb-4">
+                        These categories' projections in <strong>${this.projectData.scenarios[scenarioId].name}</strong>
+                        don't add up to their budget.
+                    </p>
+                    ${issuesHtml}
+                    <div class="form-actions">
+                        <button type="button" onclick="app.closeModal()" class="btn-secondary">Close</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        modal.style.display = 'block';
+        document.addEventListener('keydown', this.handleModalKeyboard);
+    }
+
+    // NEW: Apply one of the fixes offered by showReconciliationModal
+    fixReconciliation(categoryId, action) {
+        const category = this.projectData.budgetCategories.find(c => c.id === categoryId);
+        if (!category) return;
+
+        const scenarioId = this.projectData.currentScenario;
+        if (this.isScenarioLocked(scenarioId)) {
+            showNotification('This scenario is locked. Unlock it before fixing projections.', 'error');
+            return;
+        }
+
+        const issue = this.getReconciliationIssues(scenarioId)[categoryId];
+        const params = category.distributionParams;
+        const effectiveParams = this.getScenarioCategory(scenarioId, category).distributionParams;
+        const horizon = this.getCalendar().monthCount;
+        const { startMonth = 0, duration = 12 } = effectiveParams;
+
+        this.closeModal();
+
+        switch (action) {
+            case 'fit-horizon': {
+                const fittedDuration = Math.max(1, Math.min(duration, horizon));
+                const fitted = {
+                    startMonth: Math.min(startMonth, horizon - fittedDuration),
+                    duration: fittedDuration
+                };
+                const override = this.projectData.scenarios[scenarioId].overrides?.[categoryId];
+                if (override?.distributionParams) {
+                    // Predecessors fix the start, so only the duration can give
+                    if (category.dependencies?.length) {
+                        fitted.duration = Math.max(1, Math.min(duration, horizon - startMonth));
+                        delete fitted.startMonth;
+                    }
+                    this.updateScenario(scenarioId, {
+                        overrides: {
+                            ...this.projectData.scenarios[scenarioId].overrides,
+                            [categoryId]: { ...override, distributionParams: { ...override.distributionParams, ...fitted } }
+                        }
+                    });
+                } else {
+                    this.updateBudgetCategory(categoryId, {
+                        distributionParams: { ...params, ...fitted }
+                    });
+                }
+                break;
+            }
+            case 'extend-horizon':
+                try {
+                    this.updateProjectSchedule({
+                        startDate: this.projectData.info.startDate,
+                        endDate: this.projectData.info.endDate,
+                        horizonMonths: startMonth + duration
+                    });
+                    this.renderBudgetTable();
+                    this.updateProjectSummary();
+                    showNotification(`Project horizon extended to ${startMonth + duration} months`, 'success');
+                } catch (error) {
+                    showNotification('Failed to extend horizon: ' + error.message, 'error');
+                }
+                break;
+            case 'scale-manual': {
+                const manual = params.manualDistribution || {};
+                const total = Object.values(manual).reduce((sum, value) => sum + (value || 0), 0);
+                if (total <= 0) {
+                    showNotification('Manual spread is empty; enter monthly amounts first', 'warning');
+                    return;
+                }
+                this.updateBudgetCategory(categoryId, {
+                    distributionParams: {
+                        ...params,
+                        manualDistribution: this.calculations.normalizeDistribution(manual, category.amount)
+                    }
+                });
+                break;
+            }
+            case 'use-manual-total': {
+                const manual = params.manualDistribution || {};
+                const total = Object.values(manual).reduce((sum, value) => sum + (value || 0), 0);
+                this.updateBudgetCategory(categoryId, { amount: total });
+                break;
+            }
+            case 'absorb-remainder': {
+                const projections = this.projectData.scenarios[scenarioId].projections[categoryId] || {};
+                const months = Object.keys(projections).map(Number);
+                if (!issue || months.length === 0) return;
+                const lastMonth = Math.max(...months);
+                projections[lastMonth] = (projections[lastMonth] || 0) + issue.difference;
+                this.reconcileProjections();
+                this.debouncedSave();
+                this.renderBudgetTable();
+                this.updateProjectSummary();
+                showNotification('Rounding difference added to the last month', 'success');
+                break;
+            }
+            default:
+                this.calculateProjections(categoryId);
+                this.renderBudgetTable();
+                this.updateProjectSummary();
+                showNotification('Projections recalculated', 'success');
+        }
+    }
+
+    // ENHANCED: Set a month's actual total. Monthly totals are derived from
+    // transactions, so the difference is recorded as an adjustment entry and
+    // the entries already behind the month stay on record.
+    updateActualSpend(categoryId, month, amount) {
+        console.log(`Updating actual spend - Category: ${categoryId}, Month: ${month}, Amount: ${amount}`);
+        
+        try {
+            const scenarioId = this.projectData.currentScenario;
+            const current = this.projectData.scenarios[scenarioId].actuals[categoryId]?.[month] || 0;
+            const difference = this.calculations.roundCurrency((parseFloat(amount) || 0) - current);
+            if (difference === 0) return;
+            
+            this.addActualTransaction(categoryId, {
+                vendor: 'Monthly total adjustment',
+                invoiceNumber: '',
+                invoiceDate: ProjectCalendar.toISODate(this.getCalendar().monthDate(month)),
+                amount: difference,
+                memo: `Month total set to $${(parseFloat(amount) || 0).toLocaleString()}`
+            }, scenarioId, { notify: false });
+        } catch (error) {
+            console.error('Error updating actual spend:', error);
+            showNotification('Failed to update actual spend: ' + error.message, 'error');
+        }
+    }
+
+    // ============================================================================
+    // ACTUAL TRANSACTIONS
+    // ============================================================================
+
+    createTransactionId() {
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // NEW: Transactions for a scenario, newest invoice first, each tagged with
+    // its category and month. Filter by category and/or month index.
+    getActualTransactions(scenarioId, { categoryId = null, month = null } = {}) {
+        if (!this.projectData.scenarios[scenarioId]) return [];
+
+        const calendar = this.getCalendar();
+        return Object.entries(this.getScenarioTransactions(scenarioId))
+            .filter(([id]) => categoryId === null || String(id) === String(categoryId))
+            .flatMap(([id, transactions]) => transactions.map(transaction => ({
+                ...transaction,
+                categoryId: Number(id),
+                month: calendar.indexOf(transaction.invoiceDate)
+            })))
+            .filter(transaction => month === null || transaction.month === month)
+            .sort((a, b) => b.invoiceDate.localeCompare(a.invoiceDate));
+    }
+
+    // Recompute a category's monthly actuals from its transactions
+    rebuildActuals(scenarioId, categoryId) {
+        const scenario = this.projectData.scenarios[scenarioId];
+        const calendar = this.getCalendar();
+        const totals = {};
+        (this.getScenarioTransactions(scenarioId)[categoryId] || []).forEach(transaction => {
+            const month = calendar.indexOf(transaction.invoiceDate);
+            totals[month] = (totals[month] || 0) + transaction.amount;
+        });
+
+        const actuals = this.calculations.roundDistribution(totals);
+        Object.keys(actuals).forEach(month => {
+            if (!actuals[month]) delete actuals[month];
+        });
+
+        if (Object.keys(actuals).length > 0) {
+            scenario.actuals[categoryId] = actuals;
+        } else {
+            delete scenario.actuals[categoryId];
+        }
+    }
+
+    // NEW: Record an invoice against a category. Returns the transaction id,
+    // or null when it was rejected.
+    addActualTransaction(categoryId, data, scenarioId = this.projectData.currentScenario, { notify = true } = {}) {
+        console.log(`Adding actual transaction - Category: ${categoryId}, Scenario: ${scenarioId}`);
+
+        try {
+            const transaction = this.buildActualTransaction(categoryId, data, scenarioId);
+            const scenario = this.projectData.scenarios[scenarioId];
+            scenario.transactions = scenario.transactions || {};
+            scenario.transactions[categoryId] = [...(scenario.transactions[categoryId] || []), transaction];
+
+            this.rebuildActuals(scenarioId, categoryId);
+            this.debouncedSave();
+            this.renderBudgetTable();
+            this.updateProjectSummary();
+
+            if (notify) {
+                showNotification(`Invoice from ${transaction.vendor} recorded`, 'success');
+            }
+            return transaction.id;
+        } catch (error) {
+            console.error('Error adding actual transaction:', error);
+            showNotification('Failed to record transaction: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    updateActualTransaction(categoryId, transactionId, data, scenarioId = this.projectData.currentScenario) {
+        console.log(`Updating actual transaction: ${transactionId}`);
+
+        try {
+            const scenario = this.projectData.scenarios[scenarioId];
+            const transactions = scenario?.transactions?.[categoryId] || [];
+            const index = transactions.findIndex(t => t.id === transactionId);
+            if (index === -1) {
+                throw new Error('Transaction not found');
+            }
+
+            this.assertPeriodOpen(transactions[index].invoiceDate);
+            transactions[index] = this.buildActualTransaction(categoryId, { ...transactions[index], ...data }, scenarioId, transactions[index]);
+            this.rebuildActuals(scenarioId, categoryId);
+            this.debouncedSave();
+            this.renderBudgetTable();
+            this.updateProjectSummary();
+
+            showNotification('Transaction updated', 'success');
+            return true;
+        } catch (error) {
+            console.error('Error updating actual transaction:', error);
+            showNotification('Failed to update transaction: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    deleteActualTransaction(categoryId, transactionId, scenarioId = this.projectData.currentScenario) {
+        console.log(`Deleting actual transaction: ${transactionId}`);
+
+        try {
+            this.assertScenarioUnlocked(scenarioId);
+            const scenario = this.projectData.scenarios[scenarioId];
+            const transactions = scenario?.transactions?.[categoryId] || [];
+            const transaction = transactions.find(t => t.id === transactionId);
+            if (!transaction) {
+                throw new Error('Transaction not found');
+            }
+            this.assertPeriodOpen(transaction.invoiceDate);
+
+            scenario.transactions[categoryId] = transactions.filter(t => t.id !== transactionId);
+            this.rebuildActuals(scenarioId, categoryId);
             this.debouncedSave();
             this.renderBudgetTable();
             this.updateProjectSummary();
-            
-            showNotification(`Category "${category.name}" deleted`, 'success');
-            console.log(`Budget category deleted: ${id}`);
+
+            showNotification('Transaction deleted', 'success');
         } catch (error) {
-            console.error('Error deleting budget category:', error);
-            showNotification('Failed to delete category: ' + error.message, 'error');
+            console.error('Error deleting actual transaction:', error);
+            showNotification('Failed to delete transaction: ' + error.message, 'error');
         }
     }
 
-    editBudgetCategory(id) {
-        const category = this.projectData.budgetCategories.find(c => c.id === id);
-        if (!category) {
-            console.error(`Category not found for editing: ${id}`);
-            return;
+    // Validate and normalize a transaction for a category in a scenario
+    buildActualTransaction(categoryId, data, scenarioId, existing = null) {
+        if (!this.projectData.scenarios[scenarioId]) {
+            throw new Error('Scenario not found');
+        }
+        this.assertScenarioUnlocked(scenarioId);
+        if (!this.projectData.budgetCategories.some(category => String(category.id) === String(categoryId))) {
+            throw new Error('Category not found');
         }
 
-        console.log(`Editing budget category: ${id}`);
+        const transaction = {
+            id: existing?.id || this.createTransactionId(),
+            vendor: (data.vendor || '').trim(),
+            invoiceNumber: (data.invoiceNumber || '').trim(),
+            invoiceDate: data.invoiceDate,
+            amount: this.calculations.roundCurrency(parseFloat(data.amount)),
+            memo: (data.memo || '').trim(),
+            enteredAt: existing?.enteredAt || new Date().toISOString(),
+            enteredBy: existing?.enteredBy || window.authManager?.currentUser?.email || null
+        };
 
-        const modal = document.getElementById('modal-container');
-        if (modal) {
-            modal.innerHTML = `
-                <div class="modal-overlay">
-                    <div class="modal-content">
-                        <div class="modal-header">
-                            <h3 class="modal-title">Edit Budget Category</h3>
-                            <button onclick="app.closeModal()" class="modal-close">×</button>
-                        </div>
-                        <form id="edit-budget-form" data-category-id="${id}">
-                            <div class="form-group">
-                                <label>Category Code</label>
-                                <input type="text" name="code" value="${category.code}" required>
-                            </div>
-                            <div class="form-group">
-                                <label>Category Name</label>
-                                <input type="text" name="name" value="${category.name}" required>
-                            </div>
-                            <div class="form-group">
-                                <label>Amount</label>
-                                <input type="number" name="amount" value="${category.amount}" step="0.01" required>
-                            </div>
-                            <div class="form-group">
-                                <label>Cost Type</label>
-                                <select name="costType" required>
-                                    <option value="Hard" ${category.costType === 'Hard' ? 'selected' : ''}>Hard Costs</option>
-                                    <option value="Soft" ${category.costType === 'Soft' ? 'selected' : ''}>Soft Costs</option>
-                                    <option value="TI" ${category.costType === 'TI' ? 'selected' : ''}>Tenant Improvements</option>
-                                </select>
-                            </div>
-                            <div class="form-group">
-                                <label>Distribution Method</label>
-                                <select name="distributionMethod" required>
-                                    <option value="s-curve" ${category.distributionMethod === 's-curve' ? 'selected' : ''}>S-Curve Distribution</option>
-                                    <option value="straight-line" ${category.distributionMethod === 'straight-line' ? 'selected' : ''}>Straight Line</option>
-                                    <option value="manual" ${category.distributionMethod === 'manual' ? 'selected' : ''}>Manual Input</option>
-                                </select>
-                            </div>
-                            <div class="form-group">
-                                <label>S-Curve Intensity</label>
-                                <input type="range" name="intensity" min="1" max="5" value="${category.distributionParams.intensity || 3}">
-                                <div class="flex justify-between text-sm text-gray-500 mt-1">
-                                    <span>Flat</span>
-                                    <span>Steep</span>
-                                </div>
-                            </div>
-                            <div class="form-row">
-                                <div class="form-group">
-                                    <label>Start Month</label>
-                                    <input type="number" name="startMonth" value="${category.distributionParams.startMonth || 0}" min="0" max="23">
-                                </div>
-                                <div class="form-group">
-                                    <label>Duration (months)</label>
-                                    <input type="number" name="duration" value="${category.distributionParams.duration || 12}" min="1">
-                                </div>
-                            </div>
-                            <div class="form-actions">
-                                <button type="button" onclick="app.closeModal()" class="btn-secondary">Cancel</button>
-                                <button type="submit" class="btn-primary">Save Changes</button>
-                            </div>
-                        </form>
-                    </div>
-                </div>
-            `;
-            modal.style.display = 'block';
-            
-            // Add keyboard support
-            document.addEventListener('keydown', this.handleModalKeyboard);
-            
-            // Focus first input
-            setTimeout(() => {
-                const firstInput = modal.querySelector('input, select, textarea');
-                if (firstInput) firstInput.focus();
-            }, 100);
-            
-            document.getElementById('edit-budget-form').addEventListener('submit', (e) => {
-                e.preventDefault();
-                const formData = new FormData(e.target);
-                const categoryId = parseInt(e.target.dataset.categoryId);
-                
-                this.updateBudgetCategory(categoryId, {
-                    code: formData.get('code'),
-                    name: formData.get('name'),
-                    amount: parseFloat(formData.get('amount')),
-                    costType: formData.get('costType'),
-                    distributionMethod: formData.get('distributionMethod'),
-                    distributionParams: {
-                        intensity: parseInt(formData.get('intensity')),
-                        startMonth: parseInt(formData.get('startMonth')),
-                        duration: parseInt(formData.get('duration'))
-                    }
-                });
-                
-                this.closeModal();
-            });
+        const validation = validateActualTransaction(transaction);
+        if (validation.length > 0) {
+            throw new Error(validation.join(', '));
+        }
+
+        const calendar = this.getCalendar();
+        const month = calendar.indexOf(transaction.invoiceDate);
+        if (month < 0 || month >= calendar.monthCount) {
+            throw new Error(`Invoice date must fall between ${calendar.formatMonth(0)} and ${calendar.formatMonth(calendar.monthCount - 1)}`);
         }
+        this.assertPeriodOpen(transaction.invoiceDate);
+
+        return transaction;
     }
 
-    calculateProjections(categoryId) {
-        console.log(`Calculating projections for category: ${categoryId}`);
-        
-        try {
-            const category = this.projectData.budgetCategories.find(c => c.id === categoryId);
-            if (!category) {
-                throw new Error('Category not found');
+    // NEW: A scenario's transactions by category. Closed periods are read from
+    // closedLedger, so anything the scenario itself holds for those months is
+    // ignored.
+    getScenarioTransactions(scenarioId) {
+        const scenario = this.projectData.scenarios[scenarioId];
+        const closedPeriods = this.projectData.closedPeriods || {};
+        const result = {};
+        const add = (categoryId, transactions) => {
+            if (transactions.length > 0) {
+                result[categoryId] = [...(result[categoryId] || []), ...transactions];
             }
+        };
 
-            Object.keys(this.projectData.scenarios).forEach(scenarioId => {
-                const scenario = this.projectData.scenarios[scenarioId];
-                if (!scenario.projections[categoryId]) {
-                    scenario.projections[categoryId] = {};
-                }
+        Object.entries(scenario?.transactions || {}).forEach(([categoryId, transactions]) => {
+            add(categoryId, transactions.filter(t => !closedPeriods[this.periodKeyOf(t.invoiceDate)]));
+        });
+        Object.keys(closedPeriods).forEach(period => {
+            Object.entries(this.getClosedTransactions(period, scenarioId))
+                .forEach(([categoryId, transactions]) => add(categoryId, transactions));
+        });
 
-                const projections = this.calculations.calculateDistribution(
-                    category.amount,
-                    category.distributionMethod,
-                    category.distributionParams,
-                    24
-                );
+        return result;
+    }
 
-                scenario.projections[categoryId] = projections;
+    // Rebuild every unlocked scenario's actuals, e.g. after loading
+    rebuildAllActuals() {
+        Object.keys(this.projectData.scenarios)
+            .filter(scenarioId => !this.isScenarioLocked(scenarioId))
+            .forEach(scenarioId => {
+                const categoryIds = new Set([
+                    ...Object.keys(this.projectData.scenarios[scenarioId].actuals || {}),
+                    ...Object.keys(this.getScenarioTransactions(scenarioId))
+                ]);
+                categoryIds.forEach(categoryId => this.rebuildActuals(scenarioId, categoryId));
             });
-            
-            this.debouncedSave();
-        } catch (error) {
-            console.error('Error calculating projections:', error);
-            showNotification('Failed to calculate projections: ' + error.message, 'error');
+    }
+
+    // ============================================================================
+    // PERIOD CLOSE
+    // ============================================================================
+
+    // Calendar month ('YYYY-MM') a date falls in
+    periodKeyOf(date) {
+        const month = ProjectCalendar.parseMonth(date);
+        return month ? ProjectCalendar.toMonthKey(month) : null;
+    }
+
+    formatPeriod(period) {
+        return this.getCalendar().formatMonth(this.getCalendar().indexOf(period), { month: 'long', year: 'numeric' });
+    }
+
+    isPeriodClosed(date) {
+        return !!this.projectData.closedPeriods?.[this.periodKeyOf(date)];
+    }
+
+    assertPeriodOpen(date) {
+        if (this.isPeriodClosed(date)) {
+            throw new Error(`${this.formatPeriod(this.periodKeyOf(date))} is closed`);
         }
     }
 
-    recalculateBaseline() {
-        console.log('Recalculating baseline projections...');
-        
-        if (!confirm('This will recalculate all projections based on current settings. Continue?')) {
-            return;
+    // Month indexes of the closed periods, in order
+    getClosedMonths() {
+        const calendar = this.getCalendar();
+        return Object.keys(this.projectData.closedPeriods || {})
+            .map(period => calendar.indexOf(period))
+            .sort((a, b) => a - b);
+    }
+
+    // Super admins and the project's creator close periods; only super admins
+    // reopen them
+    canClosePeriods() {
+        return this.canManageScenarioLocks();
+    }
+
+    // Scenarios created after a period closed read it from the scenario they
+    // were copied from
+    getClosedTransactions(period, scenarioId) {
+        const snapshot = this.projectData.closedLedger?.[period] || {};
+        const visited = new Set();
+        for (let id = scenarioId; id && !visited.has(id); id = this.projectData.scenarios[id]?.actualsBase) {
+            if (snapshot[id]) return snapshot[id];
+            visited.add(id);
         }
+        return {};
+    }
+
+    // NEW: Close a month against further actuals. Every scenario's transactions
+    // for the month are moved into closedLedger, which the Firestore rules
+    // keep unchanged until a super admin reopens the period.
+    //
+    // closedLedger is the only source of truth for a closed month. Unlocked
+    // scenarios don't store its transactions or actuals (see
+    // getStoredProjectData); anything reading the saved project must take
+    // closed months from the ledger. Locked scenarios keep a full copy, which
+    // the lock rule already freezes.
+    closePeriod(month) {
+        console.log(`Closing period: ${month}`);
 
-        showLoading('Recalculating projections...');
-        
         try {
-            this.projectData.budgetCategories.forEach(category => {
-                this.calculateProjections(category.id);
+            if (!this.canClosePeriods()) {
+                throw new Error('Only super admins or the project owner can close periods');
+            }
+
+            const calendar = this.getCalendar();
+            if (!Number.isInteger(month) || month < 0 || month >= calendar.monthCount) {
+                throw new Error('Month is outside the project horizon');
+            }
+
+            const period = calendar.monthKey(month);
+            if (this.isPeriodClosed(period)) {
+                throw new Error(`${this.formatPeriod(period)} is already closed`);
+            }
+
+            const levels = this.getBudgetLevelSnapshot();
+            const snapshot = {};
+            Object.keys(this.projectData.scenarios).forEach(scenarioId => {
+                snapshot[scenarioId] = {};
+                Object.entries(this.getScenarioTransactions(scenarioId)).forEach(([categoryId, transactions]) => {
+                    const inPeriod = transactions.filter(t => this.periodKeyOf(t.invoiceDate) === period);
+                    if (inPeriod.length > 0) {
+                        snapshot[scenarioId][categoryId] = JSON.parse(JSON.stringify(inPeriod));
+                    }
+                });
             });
-            
-            this.renderBudgetTable();
-            this.updateProjectSummary();
-            
-            hideLoading();
-            showNotification('Baseline recalculated successfully', 'success');
+
+            const user = window.authManager.currentUser;
+            const closedAt = new Date().toISOString();
+            this.projectData.closedLedger = { ...(this.projectData.closedLedger || {}), [period]: snapshot };
+            this.projectData.closedPeriods = {
+                ...(this.projectData.closedPeriods || {}),
+                [period]: { closedBy: user.uid, closedByEmail: user.email || null, closedAt: closedAt }
+            };
+            this.recordPeriodHistory(period, 'closed', user, closedAt);
+            Object.keys(this.projectData.scenarios)
+                .filter(scenarioId => !this.isScenarioLocked(scenarioId))
+                .forEach(scenarioId => this.removeClosedTransactions(this.projectData.scenarios[scenarioId]));
+            this.updateForecasts();
+            this.recordBudgetLevelChanges(levels, `Actuals through ${this.formatPeriod(period)} closed`);
+
+            this.debouncedSave();
+            showNotification(`${this.formatPeriod(period)} closed`, 'success');
+            return true;
         } catch (error) {
-            console.error('Error recalculating baseline:', error);
-            hideLoading();
-            showNotification('Failed to recalculate baseline: ' + error.message, 'error');
+            console.error('Error closing period:', error);
+            showNotification('Failed to close period: ' + error.message, 'error');
+            return false;
         }
     }
 
-    updateActualSpend(categoryId, month, amount) {
-        console.log(`Updating actual spend - Category: ${categoryId}, Month: ${month}, Amount: ${amount}`);
-        
+    reopenPeriod(month, reason) {
+        console.log(`Reopening period: ${month}`);
+
         try {
-            const scenario = this.projectData.scenarios[this.projectData.currentScenario];
-            if (!scenario.actuals[categoryId]) {
-                scenario.actuals[categoryId] = {};
+            if (!window.authManager?.isSuperAdmin()) {
+                throw new Error('Only super admins can reopen a closed period');
             }
-            
-            scenario.actuals[categoryId][month] = parseFloat(amount) || 0;
+            if (!reason || !reason.trim()) {
+                throw new Error('A reason is required to reopen a period');
+            }
+
+            const period = this.getCalendar().monthKey(month);
+            if (!this.isPeriodClosed(period)) {
+                throw new Error(`${this.formatPeriod(period)} is not closed`);
+            }
+
+            const levels = this.getBudgetLevelSnapshot();
+
+            // Unlocked scenarios get the month back from the ledger, never
+            // from whatever they hold for it themselves
+            Object.keys(this.projectData.scenarios)
+                .filter(scenarioId => !this.isScenarioLocked(scenarioId))
+                .forEach(scenarioId => {
+                    const scenario = this.projectData.scenarios[scenarioId];
+                    const restored = this.getClosedTransactions(period, scenarioId);
+                    scenario.transactions = scenario.transactions || {};
+                    new Set([...Object.keys(scenario.transactions), ...Object.keys(restored)]).forEach(categoryId => {
+                        scenario.transactions[categoryId] = [
+                            ...(scenario.transactions[categoryId] || []).filter(t => this.periodKeyOf(t.invoiceDate) !== period),
+                            ...JSON.parse(JSON.stringify(restored[categoryId] || []))
+                        ];
+                    });
+                });
+
+            const closedPeriods = { ...this.projectData.closedPeriods };
+            const closedLedger = { ...(this.projectData.closedLedger || {}) };
+            delete closedPeriods[period];
+            delete closedLedger[period];
+            this.projectData.closedPeriods = closedPeriods;
+            this.projectData.closedLedger = closedLedger;
+            this.recordPeriodHistory(period, 'reopened', window.authManager.currentUser, new Date().toISOString(), reason.trim());
+
+            this.rebuildAllActuals();
+            this.updateForecasts();
+            this.recordBudgetLevelChanges(levels, `${this.formatPeriod(period)} reopened: ${reason.trim()}`);
             this.debouncedSave();
             this.renderBudgetTable();
             this.updateProjectSummary();
+
+            showNotification(`${this.formatPeriod(period)} reopened`, 'success');
+            return true;
         } catch (error) {
-            console.error('Error updating actual spend:', error);
-            showNotification('Failed to update actual spend: ' + error.message, 'error');
+            console.error('Error reopening period:', error);
+            showNotification('Failed to reopen period: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    // Drop a scenario's own transactions for closed months
+    removeClosedTransactions(scenario) {
+        const closedPeriods = this.projectData.closedPeriods || {};
+        Object.keys(scenario.transactions || {}).forEach(categoryId => {
+            scenario.transactions[categoryId] = scenario.transactions[categoryId]
+                .filter(t => !closedPeriods[this.periodKeyOf(t.invoiceDate)]);
+        });
+    }
+
+    // The project data as it is saved. Unlocked scenarios leave out closed
+    // months' transactions and actuals; loading rebuilds those actuals from
+    // closedLedger.
+    getStoredProjectData() {
+        const closedPeriods = this.projectData.closedPeriods || {};
+        const closedMonths = new Set(this.getClosedMonths().map(String));
+        if (closedMonths.size === 0) {
+            return this.projectData;
         }
+
+        const scenarios = {};
+        Object.entries(this.projectData.scenarios).forEach(([scenarioId, scenario]) => {
+            if (this.isScenarioLocked(scenarioId)) {
+                scenarios[scenarioId] = scenario;
+                return;
+            }
+
+            const transactions = {};
+            Object.entries(scenario.transactions || {}).forEach(([categoryId, entries]) => {
+                const open = entries.filter(t => !closedPeriods[this.periodKeyOf(t.invoiceDate)]);
+                if (open.length > 0) transactions[categoryId] = open;
+            });
+            const actuals = {};
+            Object.entries(scenario.actuals || {}).forEach(([categoryId, months]) => {
+                Object.keys(months)
+                    .filter(month => !closedMonths.has(month))
+                    .forEach(month => {
+                        actuals[categoryId] = { ...(actuals[categoryId] || {}), [month]: months[month] };
+                    });
+            });
+            scenarios[scenarioId] = { ...scenario, transactions, actuals };
+        });
+
+        return { ...this.projectData, scenarios };
+    }
+
+    recordPeriodHistory(period, action, user, at, reason = null) {
+        this.projectData.periodHistory = [
+            ...(this.projectData.periodHistory || []),
+            {
+                period: period,
+                action: action,
+                userId: user.uid,
+                userEmail: user.email || null,
+                at: at,
+                reason: reason
+            }
+        ];
     }
 
     showActualsModal(categoryId) {
@@ -824,11 +5166,18 @@ class CashflowApp {
             
             this.projectData.scenarios[scenarioId] = {
                 name: name,
+                distributionMethod: baseScenario.distributionMethod || null,
+                overrides: JSON.parse(JSON.stringify(baseScenario.overrides || {})),
                 projections: JSON.parse(JSON.stringify(baseScenario.projections)),
                 actuals: JSON.parse(JSON.stringify(baseScenario.actuals)),
+                transactions: JSON.parse(JSON.stringify(baseScenario.transactions || {})),
+                eacOverrides: { ...(baseScenario.eacOverrides || {}) },
+                actualsBase: baseScenarioId,
                 isLocked: false
             };
+            this.calculateForecast(scenarioId);
             
+            this.reconcileProjections();
             this.debouncedSave();
             this.loadScenarios();
             
@@ -864,7 +5213,7 @@ class CashflowApp {
                 const scenario = this.projectData.scenarios[scenarioId];
                 const option = document.createElement('option');
                 option.value = scenarioId;
-                option.textContent = scenario.name;
+                option.textContent = scenario.isLocked ? `${scenario.name} (locked)` : scenario.name;
                 option.selected = scenarioId === this.projectData.currentScenario;
                 selector.appendChild(option);
             });
@@ -882,11 +5231,17 @@ class CashflowApp {
         }
 
         const scenario = this.projectData.scenarios[this.projectData.currentScenario];
+        const issues = this.getReconciliationIssues();
+        this.renderTimeline();
+        this.renderChangeOrders();
+        this.renderCommitments();
+        this.renderContingency();
+        this.renderFundingSources();
 
         if (this.projectData.budgetCategories.length === 0) {
             container.innerHTML = `
                 <tr>
-                    <td colspan="6" style="text-align: center; padding: 2rem; color: var(--medium-gray);">
+                    <td colspan="9" style="text-align: center; padding: 2rem; color: var(--medium-gray);">
                         No budget categories added yet. Click "Add Category" to get started.
                     </td>
                 </tr>
@@ -897,12 +5252,48 @@ class CashflowApp {
         container.innerHTML = '';
         
         this.projectData.budgetCategories.forEach(category => {
+            const issue = issues[category.id];
+            const effective = this.getScenarioCategory(this.projectData.currentScenario, category);
+            const isAdjusted = effective.amount !== category.amount;
+            const budget = this.getCategoryBudget(category);
+            const levels = this.getBudgetLevels(category);
             const row = document.createElement('tr');
             row.innerHTML = `
                 <td data-tooltip="Category code: ${category.code}">${category.code}</td>
-                <td data-tooltip="${category.name}">${category.name}</td>
-                <td data-tooltip="Total budget: $${category.amount.toLocaleString()}">
-                    $${category.amount.toLocaleString(undefined, {maximumFractionDigits: 0})}
+                <td data-tooltip="${category.name}">
+                    ${category.name}
+                    ${category.contingencyType ? `<span class="contingency-badge">${CONTINGENCY_TYPES[category.contingencyType]}</span>` : ''}
+                </td>
+                <td data-tooltip="Original budget: $${budget.original.toLocaleString()}">
+                    $${budget.original.toLocaleString(undefined, {maximumFractionDigits: 0})}
+                </td>
+                <td data-tooltip="${budget.pending !== 0 ? `Pending change orders: ${budget.pending < 0 ? '-' : '+'}$${Math.abs(budget.pending).toLocaleString()}` : 'Approved change orders'}">
+                    ${budget.approved === 0 ? '-' : `${budget.approved < 0 ? '-' : '+'}$${Math.abs(budget.approved).toLocaleString(undefined, {maximumFractionDigits: 0})}`}
+                    ${budget.pending !== 0 ? '<span class="co-pending-flag">pending</span>' : ''}
+                    ${budget.transfers !== 0 ? `
+                        <span class="contingency-transfer" data-tooltip="Net contingency drawdowns">
+                            ${budget.transfers < 0 ? '-' : '+'}$${Math.abs(budget.transfers).toLocaleString(undefined, {maximumFractionDigits: 0})} contingency
+                        </span>
+                    ` : ''}
+                </td>
+                <td data-tooltip="${isAdjusted ? `Scenario budget (current $${category.amount.toLocaleString()})` : `Current budget: $${category.amount.toLocaleString()}`}">
+                    $${effective.amount.toLocaleString(undefined, {maximumFractionDigits: 0})}
+                    ${isAdjusted ? '<span class="text-sm text-gray-500">*</span>' : ''}
+                    ${issue ? `
+                        <button onclick="app.showReconciliationModal(${category.id})"
+                                class="reconciliation-flag"
+                                data-tooltip="${this.formatReconciliationReason(issue.reason)}: projections are off by $${Math.abs(issue.difference).toLocaleString(undefined, {maximumFractionDigits: 2})}">
+                            ⚠ ${issue.difference > 0 ? '-' : '+'}$${Math.abs(issue.difference).toLocaleString(undefined, {maximumFractionDigits: 2})}
+                        </button>
+                    ` : ''}
+                </td>
+                <td data-tooltip="Forecast at completion, ${levels.forecastVsCurrent === 0 ? 'on' : levels.forecastVsCurrent > 0 ? 'over' : 'under'} the current budget">
+                    $${levels.forecast.toLocaleString(undefined, {maximumFractionDigits: 0})}
+                    ${levels.forecastVsCurrent !== 0 ? `
+                        <span class="budget-delta ${levels.forecastVsCurrent > 0 ? 'over' : 'under'}">
+                            ${levels.forecastVsCurrent > 0 ? '+' : '-'}$${Math.abs(levels.forecastVsCurrent).toLocaleString(undefined, {maximumFractionDigits: 0})}
+                        </span>
+                    ` : ''}
                 </td>
                 <td>
                     <span class="cost-type ${category.costType.toLowerCase()}"
@@ -910,8 +5301,8 @@ class CashflowApp {
                         ${category.costType}
                     </span>
                 </td>
-                <td data-tooltip="Distribution: ${category.distributionMethod}">
-                    ${this.formatDistributionMethod(category.distributionMethod)}
+                <td data-tooltip="Distribution: ${effective.distributionMethod}">
+                    ${this.formatDistributionMethod(effective.distributionMethod)}
                 </td>
                 <td>
                     <div class="flex gap-1">
@@ -930,6 +5321,11 @@ class CashflowApp {
                                 data-tooltip="Enter actual spending">
                             📊
                         </button>
+                        <button onclick="app.showBudgetHistoryModal(${category.id})" 
+                                class="btn-icon"
+                                data-tooltip="Budget revision history">
+                            🕘
+                        </button>
                     </div>
                 </td>
             `;
@@ -941,10 +5337,176 @@ class CashflowApp {
         console.log(`Budget table rendered with ${this.projectData.budgetCategories.length} categories`);
     }
 
+    // ============================================================================
+    // SCHEDULE TIMELINE
+    // ============================================================================
+
+    // NEW: Gantt view of the current scenario. Bars can be dragged to move the
+    // start month or resized from either end; the result is saved through
+    // updateBudgetCategory. Bars whose timing comes from elsewhere (scenario
+    // overrides, predecessors, manual spreads) are locked or only resizable.
+    renderTimeline() {
+        const container = document.getElementById('gantt-timeline');
+        if (!container) return;
+
+        const categories = this.projectData.budgetCategories;
+        if (categories.length === 0) {
+            container.innerHTML = `
+                <p class="text-sm text-gray-500" style="text-align: center; padding: 2rem;">
+                    Add budget categories to see the schedule timeline.
+                </p>
+            `;
+            return;
+        }
+
+        const scenarioId = this.projectData.currentScenario;
+        const scenario = this.projectData.scenarios[scenarioId];
+        const calendar = this.getCalendar();
+        const monthCount = calendar.monthCount;
+        const percent = months => `${months / monthCount * 100}%`;
+        const monthLabels = Array.from({ length: monthCount }, (_, month) => `
+            <div class="gantt-month">${calendar.formatMonth(month)}</div>
+        `).join('');
+
+        // Dragging edits the categories, which a locked baseline or locked
+        // current scenario would not pick up
+        const lockedScenarioId = [scenarioId, 'baseline'].find(id => this.isScenarioLocked(id));
+
+        const rows = categories.map(category => {
+            const effective = this.getScenarioCategory(scenarioId, category);
+            const { startMonth, duration } = this.getTimelineSpan(effective);
+            const scheduleOverride = scenario.overrides?.[category.id]?.distributionParams || {};
+            const isManual = effective.distributionMethod === 'manual';
+            const hasPredecessors = (category.dependencies || []).length > 0;
+            const isOverridden = (scheduleOverride.startMonth !== undefined && !hasPredecessors) || scheduleOverride.duration !== undefined;
+
+            let mode = 'move';
+            let note = 'Drag to move, drag an edge to resize';
+            if (lockedScenarioId) {
+                mode = 'locked';
+                note = `Scenario "${this.projectData.scenarios[lockedScenarioId].name}" is locked`;
+            } else if (isManual) {
+                mode = 'locked';
+                note = 'Manual spread - edit the months in the category';
+            } else if (isOverridden) {
+                mode = 'locked';
+                note = `Schedule set by scenario "${scenario.name}"`;
+            } else if (hasPredecessors) {
+                mode = 'resize';
+                note = 'Start set by predecessors - drag the right edge to resize';
+            }
+
+            return `
+                <div class="gantt-row">
+                    <div class="gantt-label" title="${category.code} - ${category.name}">${category.code} - ${category.name}</div>
+                    <div class="gantt-track" style="background-size: ${percent(1)} 100%;">
+                        <div class="gantt-bar ${category.costType.toLowerCase()} ${mode === 'locked' ? 'locked' : ''}"
+                             data-category-id="${category.id}" data-mode="${mode}"
+                             data-start="${startMonth}" data-duration="${duration}"
+                             style="left: ${percent(startMonth)}; width: ${percent(duration)};"
+                             title="${category.name}: ${calendar.formatMonth(startMonth)} - ${calendar.formatMonth(startMonth + duration - 1)} (${duration} mo). ${note}">
+                            ${mode === 'move' ? '<span class="gantt-handle" data-edge="start"></span>' : ''}
+                            <span class="gantt-bar-label">${duration} mo</span>
+                            ${mode !== 'locked' ? '<span class="gantt-handle" data-edge="end"></span>' : ''}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="gantt-row gantt-header">
+                <div class="gantt-label"></div>
+                <div class="gantt-months" style="grid-template-columns: repeat(${monthCount}, 1fr);">${monthLabels}</div>
+            </div>
+            ${rows}
+            <div class="gantt-legend">
+                <span><i class="hard"></i> Hard</span>
+                <span><i class="soft"></i> Soft</span>
+                <span><i class="ti"></i> TI</span>
+            </div>
+        `;
+
+        container.querySelectorAll('.gantt-bar:not(.locked)').forEach(bar => {
+            bar.addEventListener('pointerdown', (e) => this.startTimelineDrag(e, bar, monthCount));
+        });
+    }
+
+    // Months covered by a category's spend; manual spreads use their first and
+    // last entered months
+    getTimelineSpan(category) {
+        if (category.distributionMethod === 'manual') {
+            const months = Object.keys(category.distributionParams.manualDistribution || {}).map(Number);
+            if (months.length === 0) return { startMonth: 0, duration: 1 };
+            const first = Math.min(...months);
+            return { startMonth: first, duration: Math.max(...months) - first + 1 };
+        }
+
+        const { startMonth = 0, duration = 12 } = category.distributionParams;
+        return { startMonth, duration };
+    }
+
+    startTimelineDrag(e, bar, monthCount) {
+        e.preventDefault();
+
+        const track = bar.parentElement;
+        const monthWidth = track.clientWidth / monthCount;
+        const edge = e.target.dataset.edge || (bar.dataset.mode === 'move' ? 'move' : null);
+        if (!edge || monthWidth <= 0) return;
+
+        const originX = e.clientX;
+        const origin = { start: parseInt(bar.dataset.start), duration: parseInt(bar.dataset.duration) };
+        let next = { ...origin };
+
+        const onMove = (moveEvent) => {
+            const delta = Math.round((moveEvent.clientX - originX) / monthWidth);
+            if (edge === 'move') {
+                next = { start: Math.min(Math.max(0, origin.start + delta), monthCount - 1), duration: origin.duration };
+            } else if (edge === 'start') {
+                const start = Math.min(Math.max(0, origin.start + delta), origin.start + origin.duration - 1);
+                next = { start, duration: origin.duration - (start - origin.start) };
+            } else {
+                next = { start: origin.start, duration: Math.max(1, origin.duration + delta) };
+            }
+
+            bar.style.left = `${next.start / monthCount * 100}%`;
+            bar.style.width = `${next.duration / monthCount * 100}%`;
+            bar.classList.add('dragging');
+        };
+
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            bar.classList.remove('dragging');
+
+            if (next.start === origin.start && next.duration === origin.duration) return;
+
+            const categoryId = parseInt(bar.dataset.categoryId);
+            const category = this.projectData.budgetCategories.find(c => c.id === categoryId);
+            if (!category) return;
+
+            const distributionParams = { ...category.distributionParams, duration: next.duration };
+            if (next.start !== origin.start) {
+                distributionParams.startMonth = next.start;
+            }
+
+            this.updateBudgetCategory(categoryId, { distributionParams });
+            // Redraw from saved data, which also snaps back a rejected change
+            this.renderTimeline();
+        };
+
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+    }
+
     formatDistributionMethod(method) {
         const methods = {
             's-curve': 'S-Curve',
             'straight-line': 'Straight Line',
+            'pert': 'PERT',
+            'front-loaded': 'Front-Loaded',
+            'back-loaded': 'Back-Loaded',
+            'trapezoid': 'Trapezoid',
             'manual': 'Manual'
         };
         return methods[method] || method;
@@ -954,8 +5516,12 @@ class CashflowApp {
         console.log('Updating project summary');
         
         try {
-            const totalBudget = this.projectData.budgetCategories.reduce((sum, cat) => sum + cat.amount, 0);
-            const scenario = this.projectData.scenarios[this.projectData.currentScenario];
+            const scenarioId = this.projectData.currentScenario;
+            const scenario = this.projectData.scenarios[scenarioId];
+            const totalBudget = this.projectData.budgetCategories.reduce(
+                (sum, cat) => sum + this.getScenarioCategory(scenarioId, cat).amount, 0
+            );
+            const budgetTotals = this.getBudgetTotals();
             
             let totalProjected = 0;
             let totalActual = 0;
@@ -974,6 +5540,30 @@ class CashflowApp {
             const totalRemainingEl = document.getElementById('total-remaining');
 
             if (totalBudgetEl) totalBudgetEl.textContent = '$' + totalBudget.toLocaleString(undefined, {maximumFractionDigits: 0});
+
+            const formatChange = value => (value < 0 ? '-$' : '+$') + Math.abs(value).toLocaleString(undefined, {maximumFractionDigits: 0});
+            const originalBudgetEl = document.getElementById('original-budget');
+            const approvedChangesEl = document.getElementById('approved-changes');
+            const pendingExposureEl = document.getElementById('pending-exposure');
+            if (originalBudgetEl) originalBudgetEl.textContent = '$' + budgetTotals.original.toLocaleString(undefined, {maximumFractionDigits: 0});
+            if (approvedChangesEl) approvedChangesEl.textContent = formatChange(budgetTotals.approved);
+            if (pendingExposureEl) {
+                pendingExposureEl.textContent = formatChange(budgetTotals.pending);
+                pendingExposureEl.className = 'value ' + (budgetTotals.pending > 0 ? 'text-red-600' : '');
+            }
+            const levelTotals = this.getBudgetLevelTotals(scenarioId);
+            const forecastEl = document.getElementById('forecast-at-completion');
+            const forecastVsCurrentEl = document.getElementById('forecast-vs-current');
+            const forecastVsOriginalEl = document.getElementById('forecast-vs-original');
+            if (forecastEl) forecastEl.textContent = '$' + levelTotals.forecast.toLocaleString(undefined, {maximumFractionDigits: 0});
+            if (forecastVsCurrentEl) {
+                forecastVsCurrentEl.textContent = formatChange(levelTotals.forecastVsCurrent);
+                forecastVsCurrentEl.className = 'value ' + (levelTotals.forecastVsCurrent > 0 ? 'text-red-600' : '');
+            }
+            if (forecastVsOriginalEl) {
+                forecastVsOriginalEl.textContent = formatChange(levelTotals.forecastVsOriginal);
+                forecastVsOriginalEl.className = 'value ' + (levelTotals.forecastVsOriginal > 0 ? 'text-red-600' : '');
+            }
             if (totalProjectedEl) totalProjectedEl.textContent = '$' + totalProjected.toLocaleString(undefined, {maximumFractionDigits: 0});
             if (totalActualEl) totalActualEl.textContent = '$' + totalActual.toLocaleString(undefined, {maximumFractionDigits: 0});
             if (totalRemainingEl) {
@@ -981,6 +5571,37 @@ class CashflowApp {
                 totalRemainingEl.textContent = '$' + remaining.toLocaleString(undefined, {maximumFractionDigits: 0});
                 totalRemainingEl.className = 'value ' + (remaining < 0 ? 'text-red-600' : '');
             }
+
+            const commitmentTotals = this.getCommitmentTotals();
+            const totalCommittedEl = document.getElementById('total-committed');
+            const totalUncommittedEl = document.getElementById('total-uncommitted');
+            const costToCompleteEl = document.getElementById('cost-to-complete');
+            if (totalCommittedEl) {
+                const overCommitted = this.getOverCommittedCategories();
+                totalCommittedEl.textContent = '$' + commitmentTotals.committed.toLocaleString(undefined, {maximumFractionDigits: 0});
+                totalCommittedEl.className = 'value ' + (overCommitted.length > 0 ? 'text-red-600' : '');
+                totalCommittedEl.title = overCommitted.length > 0
+                    ? `Committed beyond budget: ${overCommitted.map(c => c.code).join(', ')}`
+                    : '';
+            }
+            if (totalUncommittedEl) totalUncommittedEl.textContent = (commitmentTotals.uncommitted < 0 ? '-$' : '$') + Math.abs(commitmentTotals.uncommitted).toLocaleString(undefined, {maximumFractionDigits: 0});
+            if (costToCompleteEl) costToCompleteEl.textContent = '$' + commitmentTotals.costToComplete.toLocaleString(undefined, {maximumFractionDigits: 0});
+            
+            const reconciliationEl = document.getElementById('reconciliation-alert');
+            if (reconciliationEl) {
+                const issues = Object.values(this.getReconciliationIssues());
+                const unreconciled = issues.reduce((sum, issue) => sum + issue.difference, 0);
+                reconciliationEl.style.display = issues.length > 0 ? 'flex' : 'none';
+                reconciliationEl.innerHTML = issues.length === 0 ? '' : `
+                    <span>
+                        ⚠ ${issues.length} ${issues.length === 1 ? 'category doesn\'t' : 'categories don\'t'} reconcile:
+                        projections are ${unreconciled > 0 ? 'short' : 'over'} by
+                        <strong>$${Math.abs(unreconciled).toLocaleString(undefined, {maximumFractionDigits: 2})}</strong>
+                        (${[...new Set(issues.map(issue => this.formatReconciliationReason(issue.reason).toLowerCase()))].join(', ')})
+                    </span>
+                    <button onclick="app.showReconciliationModal()" class="btn-secondary btn-small">Review &amp; Fix</button>
+                `;
+            }
             
             const guide = document.getElementById('getting-started-guide');
             if (guide) {
@@ -1008,6 +5629,9 @@ class CashflowApp {
         
         const managerField = document.getElementById('project-manager');
         if (managerField) managerField.value = info.manager || '';
+        
+        const startMonthField = document.getElementById('start-month');
+        if (startMonthField) startMonthField.max = this.getCalendar().monthCount - 1;
     }
 
     showProjectCreationDialog() {
@@ -1103,6 +5727,7 @@ class CashflowApp {
                                    min="0"
                                    placeholder="0.00" 
                                    required
+                                   oninput="app.updateManualTotal()"
                                    data-tooltip="Total budget for this category">
                         </div>
                         <div class="form-group required">
@@ -1116,38 +5741,19 @@ class CashflowApp {
                                 Hard = Construction, Soft = Professional Services, TI = Tenant Work
                             </span>
                         </div>
+                        ${this.renderContingencyTypeField()}
                         <div class="form-group required">
                             <label>Distribution Method</label>
                             <select name="distributionMethod" 
                                     required 
                                     onchange="toggleDistributionParams(this.value)"
                                     data-tooltip="How spending is distributed over time">
-                                <option value="s-curve">S-Curve Distribution</option>
-                                <option value="straight-line">Straight Line</option>
-                                <option value="manual">Manual Input</option>
+                                ${this.renderDistributionMethodOptions('s-curve')}
                             </select>
                         </div>
                         
-                        <div id="distribution-params">
-                            <div class="form-group">
-                                <label>S-Curve Intensity</label>
-                                <input type="range" name="intensity" min="1" max="5" value="3">
-                                <div class="flex justify-between text-sm text-gray-500 mt-1">
-                                    <span>Flat</span>
-                                    <span>Steep</span>
-                                </div>
-                            </div>
-                            <div class="grid grid-cols-2 gap-4">
-                                <div class="form-group">
-                                    <label>Start Month</label>
-                                    <input type="number" name="startMonth" min="0" max="23" value="0">
-                                </div>
-                                <div class="form-group">
-                                    <label>Duration (months)</label>
-                                    <input type="number" name="duration" min="1" value="12">
-                                </div>
-                            </div>
-                        </div>
+                        ${this.renderDistributionParamFields()}
+                        ${this.renderDependencyFields()}
                         
                         <div class="form-actions">
                             <button type="button" onclick="app.closeModal()" class="btn-secondary">
@@ -1162,6 +5768,7 @@ class CashflowApp {
             </div>
         `;
         modal.style.display = 'block';
+        toggleDistributionParams('s-curve');
         
         // Add keyboard support
         document.addEventListener('keydown', this.handleModalKeyboard);
@@ -1185,24 +5792,353 @@ class CashflowApp {
     handleAddBudgetForm(form) {
         const formData = new FormData(form);
         
-        const distributionParams = {
-            intensity: parseInt(formData.get('intensity')) || 3,
-            startMonth: parseInt(formData.get('startMonth')) || 0,
-            duration: parseInt(formData.get('duration')) || 12
-        };
-        
         this.addBudgetCategory(
             formData.get('code'),
             formData.get('name'),
             formData.get('amount'),
             formData.get('costType'),
             formData.get('distributionMethod'),
-            distributionParams
+            this.readDistributionParams(formData),
+            this.readDependencies(formData),
+            formData.get('contingencyType') || null
         );
         
         this.closeModal();
     }
 
+    renderContingencyTypeField(selected = null) {
+        return `
+            <div class="form-group">
+                <label>Contingency</label>
+                <select name="contingencyType" data-tooltip="Contingency is drawn down into other categories">
+                    <option value="">Not contingency</option>
+                    ${Object.keys(CONTINGENCY_TYPES).map(type => `
+                        <option value="${type}" ${type === selected ? 'selected' : ''}>${CONTINGENCY_TYPES[type]}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    renderDistributionMethodOptions(selected) {
+        return Object.keys(DISTRIBUTION_METHODS).map(method => `
+            <option value="${method}" ${method === selected ? 'selected' : ''}>${DISTRIBUTION_METHODS[method]}</option>
+        `).join('');
+    }
+
+    // Parameter fields shared by the add and edit category modals. Each group
+    // lists the methods it applies to; toggleDistributionParams shows the
+    // groups for the selected method.
+    renderDistributionParamFields(params = {}) {
+        const maxStartMonth = this.getCalendar().monthCount - 1;
+
+        return `
+            <div id="distribution-params">
+                <div class="form-group" data-methods="s-curve front-loaded back-loaded">
+                    <label>Curve Intensity</label>
+                    <input type="range" name="intensity" min="1" max="5" value="${params.intensity || 3}">
+                    <div class="flex justify-between text-sm text-gray-500 mt-1">
+                        <span>Flat</span>
+                        <span>Steep</span>
+                    </div>
+                </div>
+                <div class="form-group" data-methods="pert">
+                    <label>Peak Timing</label>
+                    <input type="range" name="skew" min="-0.8" max="0.8" step="0.1" value="${params.skew || 0}">
+                    <div class="flex justify-between text-sm text-gray-500 mt-1">
+                        <span>Early Peak</span>
+                        <span>Late Peak</span>
+                    </div>
+                </div>
+                <div class="form-row" data-methods="trapezoid">
+                    <div class="form-group">
+                        <label>Ramp-Up (months)</label>
+                        <input type="number" name="rampUp" min="0" value="${params.rampUp ?? 3}">
+                    </div>
+                    <div class="form-group">
+                        <label>Ramp-Down (months)</label>
+                        <input type="number" name="rampDown" min="0" value="${params.rampDown ?? 3}">
+                    </div>
+                </div>
+                <div class="form-row" data-methods="s-curve straight-line pert front-loaded back-loaded trapezoid manual">
+                    <div class="form-group">
+                        <label>Start Month</label>
+                        <input type="number" name="startMonth" min="0" max="${maxStartMonth}" value="${params.startMonth || 0}">
+                    </div>
+                    <div class="form-group">
+                        <label>Duration (months)</label>
+                        <input type="number" name="duration" min="1" value="${params.duration || 12}">
+                    </div>
+                </div>
+                ${this.renderManualDistributionEditor(params.manualDistribution)}
+            </div>
+        `;
+    }
+
+    // NEW: Month-by-month editor for the manual method. Values are entered in
+    // dollars or as a percent of the category amount, and can be seeded from
+    // any curve using the start month and duration above.
+    renderManualDistributionEditor(manualDistribution = {}) {
+        const calendar = this.getCalendar();
+        const seedMethods = Object.keys(DISTRIBUTION_METHODS).filter(method => method !== 'manual');
+        let monthInputs = '';
+
+        for (let month = 0; month < calendar.monthCount; month++) {
+            const value = manualDistribution[month];
+            monthInputs += `
+                <label class="manual-month">
+                    <span>${calendar.formatMonth(month)}</span>
+                    <input type="number" name="manual-${month}" data-month="${month}" step="0.01" min="0"
+                           value="${value ? value : ''}" placeholder="0" oninput="app.updateManualTotal()">
+                </label>
+            `;
+        }
+
+        return `
+            <div class="form-group manual-editor" data-methods="manual" data-mode="amount">
+                <div class="flex justify-between mb-2">
+                    <label>Monthly Spread</label>
+                    <select name="manualMode" onchange="app.setManualEntryMode(this.value)">
+                        <option value="amount">Dollars ($)</option>
+                        <option value="percent">Percent (%)</option>
+                    </select>
+                </div>
+                <div class="flex gap-1 mb-2">
+                    <select name="manualSeedMethod">
+                        ${seedMethods.map(method => `<option value="${method}">${DISTRIBUTION_METHODS[method]}</option>`).join('')}
+                    </select>
+                    <button type="button" onclick="app.seedManualDistribution()" class="btn-secondary btn-small">
+                        Start from Curve
+                    </button>
+                    <button type="button" onclick="app.clearManualDistribution()" class="btn-secondary btn-small">
+                        Clear
+                    </button>
+                </div>
+                <div class="manual-grid">${monthInputs}</div>
+                <div class="manual-total" id="manual-total"></div>
+            </div>
+        `;
+    }
+
+    // Budget the manual editor spreads: the amount field plus any approved
+    // change orders carried by the edit form
+    readFormBudget(formData) {
+        return (parseFloat(formData.get('amount')) || 0) + (parseFloat(formData.get('approvedChanges')) || 0);
+    }
+
+    getManualEditorForm() {
+        const editor = document.querySelector('#distribution-params .manual-editor');
+        return editor ? { editor, form: editor.closest('form') } : null;
+    }
+
+    // Running total of the manual editor against the category amount
+    updateManualTotal() {
+        const manual = this.getManualEditorForm();
+        if (!manual) return;
+
+        const { editor, form } = manual;
+        const amount = this.readFormBudget(new FormData(form));
+        let entered = 0;
+        editor.querySelectorAll('[data-month]').forEach(input => {
+            entered += parseFloat(input.value) || 0;
+        });
+
+        const allocated = editor.dataset.mode === 'percent' ? amount * entered / 100 : entered;
+        const remaining = this.calculations.roundCurrency(amount - allocated);
+        const percent = amount > 0 ? (allocated / amount * 100).toFixed(1) : '0.0';
+
+        const totalEl = editor.querySelector('#manual-total');
+        totalEl.className = 'manual-total ' + (Math.abs(remaining) < 0.01 ? 'balanced' : 'unbalanced');
+        totalEl.textContent = `Allocated $${allocated.toLocaleString(undefined, {maximumFractionDigits: 2})} ` +
+            `of $${amount.toLocaleString(undefined, {maximumFractionDigits: 2})} (${percent}%)` +
+            (Math.abs(remaining) < 0.01 ? '' : ` — $${Math.abs(remaining).toLocaleString(undefined, {maximumFractionDigits: 2})} ${remaining > 0 ? 'remaining' : 'over'}`);
+    }
+
+    // Convert the entered values when switching between dollars and percent
+    setManualEntryMode(mode) {
+        const manual = this.getManualEditorForm();
+        if (!manual || manual.editor.dataset.mode === mode) return;
+
+        const { editor, form } = manual;
+        const amount = this.readFormBudget(new FormData(form));
+        editor.querySelectorAll('[data-month]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (isNaN(value)) return;
+            if (mode === 'percent') {
+                input.value = amount > 0 ? +(value / amount * 100).toFixed(4) : 0;
+            } else {
+                input.value = this.calculations.roundCurrency(amount * value / 100);
+            }
+        });
+
+        editor.dataset.mode = mode;
+        this.updateManualTotal();
+    }
+
+    // Fill the manual editor from a curve so it can be hand-tuned
+    seedManualDistribution() {
+        const manual = this.getManualEditorForm();
+        if (!manual) return;
+
+        const { editor, form } = manual;
+        const formData = new FormData(form);
+        const amount = this.readFormBudget(formData);
+        if (amount <= 0) {
+            showNotification('Enter the category amount before seeding the spread', 'warning');
+            return;
+        }
+
+        const distribution = this.calculations.calculateDistribution(
+            amount,
+            formData.get('manualSeedMethod'),
+            this.readDistributionParams(formData),
+            this.getCalendar().monthCount
+        );
+
+        editor.querySelectorAll('[data-month]').forEach(input => {
+            const value = distribution[input.dataset.month];
+            if (!value) {
+                input.value = '';
+            } else {
+                input.value = editor.dataset.mode === 'percent' ? +(value / amount * 100).toFixed(4) : value;
+            }
+        });
+        this.updateManualTotal();
+    }
+
+    clearManualDistribution() {
+        const manual = this.getManualEditorForm();
+        if (!manual) return;
+
+        manual.editor.querySelectorAll('[data-month]').forEach(input => {
+            input.value = '';
+        });
+        this.updateManualTotal();
+    }
+
+    // Dollar amounts from the manual editor fields, or null when the form has
+    // no editor. A percent spread that adds to 100% is allocated to the cent.
+    readManualDistribution(formData) {
+        const mode = formData.get('manualMode');
+        if (!mode) return null;
+
+        const amount = this.readFormBudget(formData);
+        const entered = {};
+        let total = 0;
+
+        for (const [name, rawValue] of formData.entries()) {
+            if (!name.startsWith('manual-')) continue;
+            const value = parseFloat(rawValue);
+            if (!value) continue;
+            entered[name.slice('manual-'.length)] = value;
+            total += value;
+        }
+
+        if (mode === 'percent') {
+            if (Math.abs(total - 100) < 0.05) {
+                return this.calculations.normalizeDistribution(entered, amount);
+            }
+            Object.keys(entered).forEach(month => {
+                entered[month] = amount * entered[month] / 100;
+            });
+        }
+
+        return this.calculations.roundDistribution(entered);
+    }
+
+    // NEW: Predecessor rows shared by the add and edit category modals
+    renderDependencyFields(dependencies = [], categoryId = null) {
+        return `
+            <div class="form-group">
+                <label>Predecessors</label>
+                <div id="dependency-rows" data-category-id="${categoryId ?? ''}">
+                    ${dependencies.map(link => this.renderDependencyRow(link, categoryId)).join('')}
+                </div>
+                <button type="button" class="btn-secondary btn-small" onclick="app.addDependencyRow()">+ Add Predecessor</button>
+                <span class="form-helper-text">
+                    With predecessors, the start month is calculated from their schedule plus the lag
+                </span>
+            </div>
+        `;
+    }
+
+    renderDependencyRow(link = {}, categoryId = null) {
+        const options = this.projectData.budgetCategories
+            .filter(category => String(category.id) !== String(categoryId))
+            .map(category => `
+                <option value="${category.id}" ${String(category.id) === String(link.predecessorId) ? 'selected' : ''}>
+                    ${category.code} - ${category.name}
+                </option>
+            `).join('');
+
+        return `
+            <div class="dependency-row">
+                <select name="dependencyPredecessor">
+                    <option value="">Select category...</option>
+                    ${options}
+                </select>
+                <select name="dependencyType">
+                    ${Object.keys(DEPENDENCY_TYPES).map(type => `
+                        <option value="${type}" ${type === (link.type || 'FS') ? 'selected' : ''}>${DEPENDENCY_TYPES[type]}</option>
+                    `).join('')}
+                </select>
+                <input type="number" name="dependencyLag" value="${link.lag || 0}" step="1" title="Lag (months)">
+                <button type="button" class="btn-secondary btn-small" onclick="this.closest('.dependency-row').remove()">×</button>
+            </div>
+        `;
+    }
+
+    addDependencyRow() {
+        const rows = document.getElementById('dependency-rows');
+        if (!rows) return;
+        rows.insertAdjacentHTML('beforeend', this.renderDependencyRow({}, rows.dataset.categoryId || null));
+    }
+
+    // Rows without a predecessor are ignored
+    readDependencies(formData) {
+        const predecessors = formData.getAll('dependencyPredecessor');
+        const types = formData.getAll('dependencyType');
+        const lags = formData.getAll('dependencyLag');
+
+        return predecessors
+            .map((predecessorId, index) => {
+                const predecessor = this.projectData.budgetCategories.find(category => String(category.id) === predecessorId);
+                return predecessor ? {
+                    predecessorId: predecessor.id,
+                    type: types[index] || 'FS',
+                    lag: parseInt(lags[index]) || 0
+                } : null;
+            })
+            .filter(Boolean);
+    }
+
+    // Read the fields from renderDistributionParamFields, keeping any stored
+    // params the form doesn't edit
+    readDistributionParams(formData, existing = {}) {
+        const readInt = (name, fallback) => {
+            const value = parseInt(formData.get(name));
+            return isNaN(value) ? fallback : value;
+        };
+
+        const params = {
+            ...existing,
+            intensity: readInt('intensity', 3),
+            skew: parseFloat(formData.get('skew')) || 0,
+            rampUp: readInt('rampUp', 3),
+            rampDown: readInt('rampDown', 3),
+            startMonth: readInt('startMonth', 0),
+            duration: readInt('duration', 12)
+        };
+
+        // Other methods leave a stored manual spread untouched
+        const manualDistribution = this.readManualDistribution(formData);
+        if (formData.get('distributionMethod') === 'manual' && manualDistribution) {
+            params.manualDistribution = manualDistribution;
+        }
+
+        return params;
+    }
+
     // ENHANCED: Keyboard support for modals
     handleModalKeyboard = (e) => {
         if (e.key === 'Escape') {
@@ -1267,6 +6203,7 @@ class CashflowApp {
                         const data = JSON.parse(e.target.result);
                         if (data.projectData) {
                             if (confirm('This will replace current project data. Continue?')) {
+                                this.migrateProjectData({ data: data.projectData, lastModified: data.exportDate });
                                 this.projectData = data.projectData;
                                 await this.saveCurrentProject();
                                 await this.loadCurrentProject();
@@ -1393,7 +6330,210 @@ class CashflowApp {
 // CALCULATION ENGINE
 // ============================================================================
 
+// Projections within half a cent of the budget count as reconciled
+const RECONCILIATION_TOLERANCE = 0.005;
+
+// Decimal places of each currency offered in system settings
+const CURRENCY_MINOR_UNITS = {
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    CAD: 2,
+    AUD: 2
+};
+
 class CalculationEngine {
+    constructor(options = {}) {
+        this.minorUnits = CURRENCY_MINOR_UNITS[options.currency] ?? 2;
+        this.unitScale = Math.pow(10, this.minorUnits);
+    }
+
+    roundCurrency(value) {
+        return Math.round((value || 0) * this.unitScale) / this.unitScale;
+    }
+
+    // NEW: Split an amount across weights in whole minor units (cents). The
+    // leftover cents go to the entries with the largest fractional share,
+    // earliest first, so the parts always sum exactly to the rounded amount.
+    allocate(amount, weights) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        if (weights.length === 0 || totalWeight <= 0) {
+            return weights.map(() => 0);
+        }
+
+        const sign = amount < 0 ? -1 : 1;
+        const units = Math.round(Math.abs(amount) * this.unitScale);
+        const shares = weights.map(weight => units * weight / totalWeight);
+        const parts = shares.map(share => Math.floor(share));
+
+        let leftover = units - parts.reduce((sum, part) => sum + part, 0);
+        const order = shares
+            .map((share, index) => index)
+            .sort((a, b) => (shares[b] - parts[b]) - (shares[a] - parts[a]) || a - b);
+
+        for (let i = 0; leftover > 0; i++, leftover--) {
+            parts[order[i % order.length]]++;
+        }
+
+        return parts.map(part => sign * part / this.unitScale);
+    }
+
+    // NEW: Estimate to complete for one category. Actuals stand through
+    // cutoffMonth; the rest of the estimate at completion is spread over the
+    // later months in proportion to the planned curve, or put in the next
+    // month when nothing is planned after the cutoff.
+    forecastCategory(projections = {}, actuals = {}, cutoffMonth, eac, maxMonths) {
+        const forecast = {};
+        let actualToDate = 0;
+
+        for (let month = 0; month <= cutoffMonth && month < maxMonths; month++) {
+            if (actuals[month]) {
+                forecast[month] = actuals[month];
+                actualToDate += actuals[month];
+            }
+        }
+        actualToDate = this.roundCurrency(actualToDate);
+
+        const etc = this.roundCurrency(Math.max(0, eac - actualToDate));
+        const remaining = [];
+        for (let month = cutoffMonth + 1; month < maxMonths; month++) {
+            remaining.push(month);
+        }
+
+        if (etc > 0 && remaining.length > 0) {
+            let weights = remaining.map(month => Math.max(0, projections[month] || 0));
+            if (weights.every(weight => weight === 0)) {
+                weights = remaining.map((month, index) => index === 0 ? 1 : 0);
+            }
+            this.allocate(etc, weights).forEach((value, index) => {
+                if (value) forecast[remaining[index]] = value;
+            });
+        }
+
+        return { forecast, actualToDate, etc, eac: this.roundCurrency(eac) };
+    }
+
+    // NEW: Earned value for one category, or a sum of categories, as of a
+    // status month. Performance indexes are null until there is something to
+    // divide by. Without a cost index the remaining work is assumed to run
+    // to budget.
+    earnedValue({ budget, planned, actual, earned }) {
+        const cpi = actual > 0 ? earned / actual : null;
+        const spi = planned > 0 ? earned / planned : null;
+        const eac = cpi ? budget / cpi : actual + Math.max(0, budget - earned);
+
+        return {
+            budget: this.roundCurrency(budget),
+            planned: this.roundCurrency(planned),
+            earned: this.roundCurrency(earned),
+            actual: this.roundCurrency(actual),
+            costVariance: this.roundCurrency(earned - actual),
+            scheduleVariance: this.roundCurrency(earned - planned),
+            cpi: cpi,
+            spi: spi,
+            eac: this.roundCurrency(eac),
+            etc: this.roundCurrency(Math.max(0, eac - actual)),
+            vac: this.roundCurrency(budget - eac)
+        };
+    }
+
+    // NEW: Split each month's cost into the amount paid and the amount held
+    // as retainage. The rate steps down once percent complete at the end of
+    // the previous month reaches reduceAt; progress lists percent complete
+    // per month, and without it cumulative cost over budget is used.
+    // Everything held is released in releaseMonth, and cost after that month
+    // is paid in full.
+    calculateRetainage(monthly = {}, budget, terms, releaseMonth, maxMonths, progress = null) {
+        const paid = {};
+        const retained = {};
+        const released = {};
+        const net = {};
+        let cumulative = 0;
+        let held = 0;
+
+        for (let month = 0; month < maxMonths; month++) {
+            const gross = monthly[month] || 0;
+            const complete = progress
+                ? (month > 0 ? progress[month - 1] : 0)
+                : (budget > 0 ? cumulative / budget * 100 : 0);
+            const rate = month > releaseMonth ? 0 : (complete >= terms.reduceAt ? terms.reducedRate : terms.rate);
+            const hold = this.roundCurrency(gross * rate / 100);
+
+            if (gross) {
+                paid[month] = this.roundCurrency(gross - hold);
+                if (hold) retained[month] = hold;
+            }
+            cumulative += gross;
+            held += hold;
+
+            if (month === releaseMonth && held) {
+                released[month] = this.roundCurrency(held);
+                held = 0;
+            }
+            if (paid[month] || released[month]) {
+                net[month] = this.roundCurrency((paid[month] || 0) + (released[month] || 0));
+            }
+        }
+
+        return { paid, retained, released, net, held: this.roundCurrency(held) };
+    }
+
+    // NEW: Fund each month's uses from the sources in draw order. Sources that
+    // share an order split a draw in proportion to what each has left. Uses
+    // beyond every commitment are unfunded; credits are not drawn.
+    calculateFundingWaterfall(uses, sources) {
+        const remaining = {};
+        const draws = {};
+        sources.forEach(source => {
+            remaining[source.id] = source.commitment;
+            draws[source.id] = new Array(uses.length).fill(0);
+        });
+        const tiers = [...new Set(sources.map(source => source.order))]
+            .sort((a, b) => a - b)
+            .map(order => sources.filter(source => source.order === order));
+        const unfunded = uses.map((amount, month) => {
+            let need = this.roundCurrency(Math.max(0, amount));
+
+            tiers.forEach(tier => {
+                const available = tier.reduce((sum, source) => sum + remaining[source.id], 0);
+                const take = Math.min(need, this.roundCurrency(available));
+                if (take <= 0) return;
+
+                this.allocate(take, tier.map(source => remaining[source.id])).forEach((value, index) => {
+                    const source = tier[index];
+                    draws[source.id][month] = value;
+                    remaining[source.id] = this.roundCurrency(remaining[source.id] - value);
+                });
+                need = this.roundCurrency(need - take);
+            });
+
+            return need;
+        });
+
+        return { draws, remaining, unfunded };
+    }
+
+    // Round every month of a { month: amount } map to the minor unit
+    roundDistribution(distribution) {
+        const rounded = {};
+        Object.keys(distribution || {}).forEach(month => {
+            rounded[month] = this.roundCurrency(distribution[month]);
+        });
+        return rounded;
+    }
+
+    // Re-spread a { month: amount } map so it sums exactly to total, keeping
+    // its shape
+    normalizeDistribution(distribution, total) {
+        const months = Object.keys(distribution || {});
+        const amounts = this.allocate(total, months.map(month => Math.max(distribution[month] || 0, 0)));
+        const normalized = {};
+        months.forEach((month, index) => {
+            normalized[month] = amounts[index];
+        });
+        return normalized;
+    }
+
     calculateDistribution(amount, method, params, maxMonths) {
         try {
             switch (method) {
@@ -1401,59 +6541,465 @@ class CalculationEngine {
                     return this.calculateSCurve(amount, params, maxMonths);
                 case 'straight-line':
                     return this.calculateStraightLine(amount, params, maxMonths);
+                case 'pert':
+                    return this.calculatePert(amount, params, maxMonths);
+                case 'front-loaded':
+                    return this.calculateFrontLoaded(amount, params, maxMonths);
+                case 'back-loaded':
+                    return this.calculateBackLoaded(amount, params, maxMonths);
+                case 'trapezoid':
+                    return this.calculateTrapezoid(amount, params, maxMonths);
                 case 'manual':
-                    return params.manualDistribution || {};
+                    return this.roundDistribution(params.manualDistribution);
                 default:
                     return this.calculateStraightLine(amount, params, maxMonths);
             }
-        } catch (error) {
-            console.error('Calculation error:', error);
-            showNotification('Error calculating distribution: ' + error.message, 'error');
-            return {};
+        } catch (error) {
+            console.error('Calculation error:', error);
+            showNotification('Error calculating distribution: ' + error.message, 'error');
+            return {};
+        }
+    }
+
+    // NEW: Compare a category's projected months against its budget. Returns
+    // null when they agree, otherwise the difference and the likely reason.
+    reconcileCategory(category, projections, maxMonths) {
+        const projected = Object.values(projections || {}).reduce((sum, value) => sum + (value || 0), 0);
+        const difference = category.amount - projected;
+
+        if (Math.abs(difference) < RECONCILIATION_TOLERANCE) {
+            return null;
+        }
+
+        const { startMonth = 0, duration = 12 } = category.distributionParams || {};
+        let reason = 'stale';
+        if (category.distributionMethod === 'manual') {
+            reason = 'manual';
+        } else if (startMonth + duration > maxMonths) {
+            reason = 'truncated';
+        } else if (Math.abs(difference) < 1) {
+            reason = 'rounding';
+        }
+
+        return {
+            categoryId: category.id,
+            budget: category.amount,
+            projected: projected,
+            difference: difference,
+            reason: reason
+        };
+    }
+
+    // NEW: Monte Carlo simulation of monthly spend. Each trial draws every
+    // category's amount, start and duration from triangular distributions
+    // around the plan, then spreads it with the category's own method.
+    runMonteCarlo(categories, options = {}, onProgress = null) {
+        const {
+            maxMonths,
+            trials = 5000,
+            seed = Date.now(),
+            percentiles = [10, 50, 90]
+        } = options;
+        const random = this.seededRandom(seed);
+        const monthlyTrials = new Float64Array(trials * maxMonths);
+
+        for (let trial = 0; trial < trials; trial++) {
+            const offset = trial * maxMonths;
+
+            categories.forEach(category => {
+                const distribution = this.sampleDistribution(category, random, maxMonths);
+                Object.keys(distribution).forEach(month => {
+                    if (month < maxMonths) {
+                        monthlyTrials[offset + Number(month)] += distribution[month];
+                    }
+                });
+            });
+
+            if (onProgress && (trial + 1) % 250 === 0) {
+                onProgress(trial + 1);
+            }
+        }
+
+        const cumulativeTrials = new Float64Array(monthlyTrials.length);
+        for (let trial = 0; trial < trials; trial++) {
+            let running = 0;
+            for (let month = 0; month < maxMonths; month++) {
+                running += monthlyTrials[trial * maxMonths + month];
+                cumulativeTrials[trial * maxMonths + month] = running;
+            }
+        }
+
+        const monthly = {};
+        const cumulative = {};
+        percentiles.forEach(p => {
+            monthly[p] = [];
+            cumulative[p] = [];
+        });
+
+        const column = new Float64Array(trials);
+        for (let month = 0; month < maxMonths; month++) {
+            [[monthlyTrials, monthly], [cumulativeTrials, cumulative]].forEach(([values, bands]) => {
+                for (let trial = 0; trial < trials; trial++) {
+                    column[trial] = values[trial * maxMonths + month];
+                }
+                column.sort();
+                percentiles.forEach(p => {
+                    bands[p].push(this.roundCurrency(this.percentile(column, p)));
+                });
+            });
+        }
+
+        const total = {};
+        percentiles.forEach(p => {
+            total[p] = cumulative[p][maxMonths - 1] || 0;
+        });
+
+        return { trials, seed, percentiles, monthly, cumulative, total };
+    }
+
+    // One trial's distribution for a category with optional uncertainty ranges
+    sampleDistribution(category, random, maxMonths) {
+        const ranges = category.uncertainty || {};
+        const triangular = (low, high) => this.triangular(low, 0, high, random());
+
+        return this.flexDistribution(category, {
+            factor: 1 + triangular(ranges.amountLowPct || 0, ranges.amountHighPct || 0) / 100,
+            startShift: Math.round(triangular(-(ranges.startEarlyMonths || 0), ranges.startLateMonths || 0)),
+            durationShift: Math.round(triangular(-(ranges.durationShortMonths || 0), ranges.durationLongMonths || 0))
+        }, maxMonths);
+    }
+
+    // A category's distribution with its amount scaled and its start and
+    // duration moved. Manual spreads are shifted and scaled as entered.
+    flexDistribution(category, { factor = 1, startShift = 0, durationShift = 0 }, maxMonths) {
+        const params = category.distributionParams || {};
+        const amount = category.amount * factor;
+
+        if (category.distributionMethod === 'manual') {
+            const shifted = {};
+            Object.entries(params.manualDistribution || {}).forEach(([month, value]) => {
+                const target = Math.max(0, Number(month) + startShift);
+                shifted[target] = (shifted[target] || 0) + value * factor;
+            });
+            return shifted;
+        }
+
+        return this.calculateDistribution(amount, category.distributionMethod, {
+            ...params,
+            startMonth: Math.max(0, (params.startMonth || 0) + startShift),
+            duration: Math.max(1, (params.duration || 12) + durationShift)
+        }, maxMonths);
+    }
+
+    // NEW: Start month of every category after applying predecessor links,
+    // keyed by category id. Finish-to-start follows the predecessor's last
+    // month; start-to-start its first. Links caught in a cycle are skipped.
+    resolveStartMonths(categories) {
+        const byId = new Map(categories.map(category => [String(category.id), category]));
+        const starts = {};
+        const visiting = new Set();
+
+        const span = (category, start) => {
+            if (category.distributionMethod === 'manual') {
+                const months = Object.keys(category.distributionParams?.manualDistribution || {}).map(Number);
+                return months.length > 0 ? { start: Math.min(...months), end: Math.max(...months) + 1 } : { start: 0, end: 0 };
+            }
+            return { start, end: start + (category.distributionParams?.duration || 12) };
+        };
+
+        const resolve = (category) => {
+            const id = String(category.id);
+            if (starts[id] !== undefined) return starts[id];
+
+            let start = category.distributionParams?.startMonth || 0;
+            const links = (category.dependencies || []).filter(link => byId.has(String(link.predecessorId)));
+
+            if (links.length > 0 && category.distributionMethod !== 'manual' && !visiting.has(id)) {
+                visiting.add(id);
+                start = Math.max(0, ...links.map(link => {
+                    const predecessor = byId.get(String(link.predecessorId));
+                    const predecessorSpan = span(predecessor, resolve(predecessor));
+                    return (link.type === 'SS' ? predecessorSpan.start : predecessorSpan.end) + (link.lag || 0);
+                }));
+                visiting.delete(id);
+            }
+
+            starts[id] = start;
+            return start;
+        };
+
+        categories.forEach(resolve);
+        return starts;
+    }
+
+    // NEW: Peak month, total and the month cumulative spend reaches half the
+    // total, for an array of monthly amounts
+    cashflowMetrics(monthly) {
+        const total = monthly.reduce((sum, value) => sum + value, 0);
+        const peakMonthly = Math.max(0, ...monthly);
+        let running = 0;
+        let midpointMonth = null;
+
+        for (let month = 0; month < monthly.length && total > 0; month++) {
+            running += monthly[month];
+            if (running >= total / 2 - RECONCILIATION_TOLERANCE) {
+                midpointMonth = month;
+                break;
+            }
+        }
+
+        return {
+            peakMonthly: this.roundCurrency(peakMonthly),
+            peakMonth: peakMonthly > 0 ? monthly.indexOf(peakMonthly) : null,
+            total: this.roundCurrency(total),
+            midpointMonth: midpointMonth
+        };
+    }
+
+    // NEW: One-at-a-time sensitivity. Each category's amount, start month and
+    // duration is flexed down and up by the given percentages while everything
+    // else stays at plan. Start and duration always move by at least a month.
+    runSensitivity(categories, options = {}) {
+        const { maxMonths, amountPct = 10, startPct = 10, durationPct = 10 } = options;
+        const addInto = (monthly, distribution, sign) => {
+            Object.keys(distribution).forEach(month => {
+                if (month < maxMonths) {
+                    monthly[month] += sign * distribution[month];
+                }
+            });
+        };
+        const monthShift = (months, pct) => pct > 0 ? Math.max(1, Math.round(months * pct / 100)) : 0;
+
+        const baseDistributions = categories.map(category => this.flexDistribution(category, {}, maxMonths));
+        const baseMonthly = new Array(maxMonths).fill(0);
+        baseDistributions.forEach(distribution => addInto(baseMonthly, distribution, 1));
+
+        const items = [];
+        categories.forEach((category, index) => {
+            const params = category.distributionParams || {};
+            const startShift = monthShift(params.startMonth || 0, startPct);
+            const durationShift = monthShift(params.duration || 12, durationPct);
+            const drivers = [
+                ['amount', { factor: 1 - amountPct / 100 }, { factor: 1 + amountPct / 100 }, `-${amountPct}%`, `+${amountPct}%`],
+                ['start', { startShift: -startShift }, { startShift: startShift }, `-${startShift} mo`, `+${startShift} mo`]
+            ];
+            if (category.distributionMethod !== 'manual') {
+                drivers.push(['duration', { durationShift: -durationShift }, { durationShift: durationShift }, `-${durationShift} mo`, `+${durationShift} mo`]);
+            }
+
+            drivers.forEach(([driver, lowFlex, highFlex, lowLabel, highLabel]) => {
+                const [low, high] = [lowFlex, highFlex].map(flex => {
+                    const monthly = [...baseMonthly];
+                    addInto(monthly, baseDistributions[index], -1);
+                    addInto(monthly, this.flexDistribution(category, flex, maxMonths), 1);
+                    return this.cashflowMetrics(monthly);
+                });
+
+                items.push({
+                    categoryId: category.id,
+                    categoryName: `${category.code} - ${category.name}`,
+                    driver, lowLabel, highLabel, low, high
+                });
+            });
+        });
+
+        return { base: this.cashflowMetrics(baseMonthly), items };
+    }
+
+    // Sensitivity items ordered by how far they swing one metric
+    rankSensitivity(analysis, metric) {
+        const base = analysis.base[metric] ?? 0;
+        return analysis.items
+            .map(item => ({
+                ...item,
+                lowDelta: this.roundCurrency((item.low[metric] ?? base) - base),
+                highDelta: this.roundCurrency((item.high[metric] ?? base) - base)
+            }))
+            .map(item => ({ ...item, swing: Math.abs(item.highDelta - item.lowDelta) }))
+            .sort((a, b) => b.swing - a.swing);
+    }
+
+    // Inverse CDF of a triangular distribution for a uniform sample u
+    triangular(min, mode, max, u) {
+        if (max <= min) return mode;
+        const split = (mode - min) / (max - min);
+        return u < split
+            ? min + Math.sqrt(u * (max - min) * (mode - min))
+            : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+
+    // Linearly interpolated percentile of sorted values
+    percentile(sorted, p) {
+        if (sorted.length === 0) return 0;
+        const position = (sorted.length - 1) * p / 100;
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, sorted.length - 1);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    // Mulberry32: a small seeded generator so a run can be reproduced from its seed
+    seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Spread an amount over consecutive months from startMonth in proportion to
+    // weights, dropping months past the horizon
+    spreadByWeights(amount, weights, startMonth, maxMonths) {
+        const distribution = {};
+        const monthlyAmounts = this.allocate(amount, weights);
+        
+        for (let month = 0; month < weights.length; month++) {
+            const monthIndex = startMonth + month;
+            if (monthIndex < maxMonths) {
+                distribution[monthIndex] = monthlyAmounts[month];
+            }
         }
+        
+        return distribution;
     }
 
     calculateSCurve(amount, params, maxMonths) {
         const { intensity = 3, startMonth = 0, duration = 12 } = params;
-        const distribution = {};
         
         const steepness = intensity * 0.5;
         const midpoint = duration / 2;
         
-        let total = 0;
         const monthlyValues = [];
         
         for (let month = 0; month < duration; month++) {
             const x = month - midpoint;
-            const value = 1 / (1 + Math.exp(-steepness * x / midpoint));
-            monthlyValues.push(value);
-            total += value;
+            monthlyValues.push(1 / (1 + Math.exp(-steepness * x / midpoint)));
         }
         
+        return this.spreadByWeights(amount, monthlyValues, startMonth, maxMonths);
+    }
+
+    calculateStraightLine(amount, params, maxMonths) {
+        const { startMonth = 0, duration = 12 } = params;
+        return this.spreadByWeights(amount, new Array(duration).fill(1), startMonth, maxMonths);
+    }
+
+    // NEW: PERT (beta) curve. skew runs from -1 (peak early) to 1 (peak late);
+    // each month's weight is the beta density integrated over that month.
+    calculatePert(amount, params, maxMonths) {
+        const { skew = 0, startMonth = 0, duration = 12 } = params;
+        const mode = Math.min(Math.max(0.5 + skew / 2, 0.05), 0.95);
+        const alpha = 1 + 4 * mode;
+        const beta = 1 + 4 * (1 - mode);
+        const samplesPerMonth = 10;
+        const weights = [];
+        
         for (let month = 0; month < duration; month++) {
-            const monthIndex = startMonth + month;
-            if (monthIndex < maxMonths) {
-                distribution[monthIndex] = (monthlyValues[month] / total) * amount;
+            let weight = 0;
+            for (let sample = 0; sample < samplesPerMonth; sample++) {
+                const x = (month + (sample + 0.5) / samplesPerMonth) / duration;
+                weight += Math.pow(x, alpha - 1) * Math.pow(1 - x, beta - 1);
             }
+            weights.push(weight);
         }
         
-        return distribution;
+        return this.spreadByWeights(amount, weights, startMonth, maxMonths);
     }
 
-    calculateStraightLine(amount, params, maxMonths) {
-        const { startMonth = 0, duration = 12 } = params;
-        const distribution = {};
-        const monthlyAmount = amount / duration;
+    // NEW: Declining spend, heaviest in the first month. intensity sets how
+    // quickly it tails off.
+    calculateFrontLoaded(amount, params, maxMonths) {
+        const { intensity = 3, startMonth = 0, duration = 12 } = params;
+        const weights = [];
         
         for (let month = 0; month < duration; month++) {
-            const monthIndex = startMonth + month;
-            if (monthIndex < maxMonths) {
-                distribution[monthIndex] = monthlyAmount;
+            weights.push(Math.pow((duration - month) / duration, intensity * 0.5));
+        }
+        
+        return this.spreadByWeights(amount, weights, startMonth, maxMonths);
+    }
+
+    // NEW: Mirror image of the front-loaded curve
+    calculateBackLoaded(amount, params, maxMonths) {
+        const { intensity = 3, startMonth = 0, duration = 12 } = params;
+        const weights = [];
+        
+        for (let month = 0; month < duration; month++) {
+            weights.push(Math.pow((month + 1) / duration, intensity * 0.5));
+        }
+        
+        return this.spreadByWeights(amount, weights, startMonth, maxMonths);
+    }
+
+    // NEW: Linear ramp-up over rampUp months, flat plateau, then linear
+    // ramp-down over the last rampDown months
+    calculateTrapezoid(amount, params, maxMonths) {
+        const { rampUp = 3, rampDown = 3, startMonth = 0, duration = 12 } = params;
+        const up = Math.min(Math.max(rampUp, 0), duration);
+        const down = Math.min(Math.max(rampDown, 0), duration - up);
+        const weights = [];
+        
+        for (let month = 0; month < duration; month++) {
+            const t = month + 0.5;
+            let weight = 1;
+            if (up > 0 && t < up) {
+                weight = t / up;
+            } else if (down > 0 && t > duration - down) {
+                weight = (duration - t) / down;
             }
+            weights.push(weight);
         }
         
-        return distribution;
+        return this.spreadByWeights(amount, weights, startMonth, maxMonths);
+    }
+}
+
+// ============================================================================
+// MONTE CARLO WORKER
+// ============================================================================
+
+// Percentiles reported by every simulation run. The chart shades P10-P90.
+const SIMULATION_PERCENTILES = [10, 50, 80, 90];
+
+// Body of the simulation worker. It runs in its own global scope, so it only
+// sees what createSimulationWorker() serializes in front of it.
+function simulationWorkerMain() {
+    self.onmessage = (event) => {
+        const { categories, maxMonths, trials, seed, currency, percentiles } = event.data;
+
+        try {
+            const engine = new CalculationEngine({ currency });
+            const result = engine.runMonteCarlo(categories, { maxMonths, trials, seed, percentiles }, completed => {
+                self.postMessage({ type: 'progress', completed, trials });
+            });
+            self.postMessage({ type: 'result', result });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    };
+}
+
+// Build the worker from a Blob so it also works when the app is opened from
+// the file system, where script-URL workers are blocked.
+function createSimulationWorker() {
+    if (typeof Worker === 'undefined') {
+        throw new Error('This browser does not support background simulations');
     }
+
+    const source = [
+        `const RECONCILIATION_TOLERANCE = ${RECONCILIATION_TOLERANCE};`,
+        `const CURRENCY_MINOR_UNITS = ${JSON.stringify(CURRENCY_MINOR_UNITS)};`,
+        'function showNotification(message) { console.warn(message); }',
+        CalculationEngine.toString(),
+        `(${simulationWorkerMain.toString()})();`
+    ].join('\n');
+
+    const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+    const worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    return worker;
 }
 
 // ============================================================================
@@ -1489,21 +7035,13 @@ class VisualizationEngine {
                 return;
             }
 
-            if (this.app.chartInstances.has(containerId)) {
-                this.app.chartInstances.get(containerId).dispose();
+            const chartOption = this.buildChartOption(data);
+            const simulation = options.simulation !== undefined ? options.simulation : this.app.getSimulationResult();
+            if (simulation && simulation.scenarioId === data.currentScenario) {
+                this.addSimulationBands(chartOption, simulation);
             }
 
-            const chart = echarts.init(container);
-            this.app.chartInstances.set(containerId, chart);
-            
-            const chartOption = this.buildChartOption(data);
-            chart.setOption(chartOption);
-            
-            window.addEventListener('resize', () => {
-                if (chart && !chart.isDisposed()) {
-                    chart.resize();
-                }
-            });
+            this.renderOption(container, chartOption);
             
         } catch (error) {
             console.error('Chart rendering error:', error);
@@ -1511,25 +7049,395 @@ class VisualizationEngine {
         }
     }
 
+    // Replace any chart already in the container with a new one
+    renderOption(container, chartOption) {
+        if (this.app.chartInstances.has(container.id)) {
+            this.app.chartInstances.get(container.id).dispose();
+        }
+
+        const chart = echarts.init(container);
+        this.app.chartInstances.set(container.id, chart);
+        chart.setOption(chartOption);
+
+        window.addEventListener('resize', () => {
+            if (chart && !chart.isDisposed()) {
+                chart.resize();
+            }
+        });
+
+        return chart;
+    }
+
+    // NEW: Shade the P10-P90 range around the planned monthly and cumulative
+    // series, with the P50 as a dashed line. Bands are drawn as a transparent
+    // lower edge plus a stacked, filled (upper - lower) series.
+    addSimulationBands(option, simulation) {
+        const low = Math.min(...simulation.percentiles);
+        const high = Math.max(...simulation.percentiles);
+        const bands = [
+            { key: 'monthly', label: 'Monthly', yAxisIndex: 0, color: '#407EC9' },
+            { key: 'cumulative', label: 'Cumulative', yAxisIndex: 1, color: '#EAAA00' }
+        ];
+        const bandSeries = new Set();
+
+        bands.forEach(band => {
+            const lower = simulation[band.key][low];
+            const upper = simulation[band.key][high];
+            const baseName = `${band.label} P${low} base`;
+            const rangeName = `${band.label} P${low}-P${high}`;
+            bandSeries.add(baseName);
+            bandSeries.add(rangeName);
+
+            option.series.push(
+                {
+                    name: baseName,
+                    type: 'line',
+                    yAxisIndex: band.yAxisIndex,
+                    data: lower,
+                    stack: `${band.key}-band`,
+                    lineStyle: { opacity: 0 },
+                    symbol: 'none',
+                    silent: true
+                },
+                {
+                    name: rangeName,
+                    type: 'line',
+                    yAxisIndex: band.yAxisIndex,
+                    data: upper.map((value, month) => value - lower[month]),
+                    stack: `${band.key}-band`,
+                    lineStyle: { opacity: 0 },
+                    areaStyle: { color: band.color, opacity: 0.2 },
+                    itemStyle: { color: band.color },
+                    symbol: 'none',
+                    silent: true
+                }
+            );
+
+            if (simulation[band.key][50]) {
+                option.series.push({
+                    name: `${band.label} P50`,
+                    type: 'line',
+                    yAxisIndex: band.yAxisIndex,
+                    data: simulation[band.key][50],
+                    lineStyle: { type: 'dashed', width: 1 },
+                    itemStyle: { color: band.color },
+                    symbol: 'none'
+                });
+                option.legend.data.push(`${band.label} P50`);
+            }
+            option.legend.data.push(rangeName);
+        });
+
+        // Show the band edges rather than the stacked helper values
+        option.tooltip.formatter = function(params) {
+            let result = params[0].name + '<br/>';
+            params.forEach(param => {
+                if (!bandSeries.has(param.seriesName)) {
+                    result += `${param.seriesName}: $${param.value.toLocaleString()}<br/>`;
+                }
+            });
+            bands.forEach(band => {
+                const month = params[0].dataIndex;
+                const lower = simulation[band.key][low][month];
+                const upper = simulation[band.key][high][month];
+                result += `${band.label} P${low}-P${high}: $${lower.toLocaleString()} - $${upper.toLocaleString()}<br/>`;
+            });
+            return result;
+        };
+
+        return option;
+    }
+
+    // NEW: Tornado chart of ranked sensitivity items. The low and high bars of
+    // each driver overlap in one row, measured from the plan value.
+    renderTornadoChart(containerId, ranked, metric, options = {}) {
+        try {
+            const container = document.getElementById(containerId);
+            if (!container) {
+                console.error(`Container not found: ${containerId}`);
+                return;
+            }
+
+            this.renderOption(container, this.buildTornadoOption(ranked, metric, options));
+        } catch (error) {
+            console.error('Tornado chart rendering error:', error);
+            showNotification('Failed to render tornado chart: ' + error.message, 'error');
+        }
+    }
+
+    buildTornadoOption(ranked, metric, { title = 'Sensitivity', limit = 15 } = {}) {
+        const driverLabels = { amount: 'Amount', start: 'Start', duration: 'Duration' };
+        const isMonths = metric === 'midpointMonth';
+        const formatValue = value => isMonths
+            ? `${value > 0 ? '+' : ''}${value} mo`
+            : `${value < 0 ? '-' : ''}$${(Math.abs(value) / 1000).toFixed(0)}K`;
+
+        // Largest swing at the top of the chart
+        const items = ranked.filter(item => item.swing > 0).slice(0, limit).reverse();
+
+        return {
+            title: {
+                text: title,
+                textStyle: { color: '#1B365D', fontSize: 18, fontWeight: 'bold' }
+            },
+            tooltip: {
+                trigger: 'axis',
+                axisPointer: { type: 'shadow' },
+                formatter: function(params) {
+                    const item = items[params[0].dataIndex];
+                    return `${item.categoryName} (${driverLabels[item.driver]})<br/>` +
+                        `${item.lowLabel}: ${formatValue(item.lowDelta)}<br/>` +
+                        `${item.highLabel}: ${formatValue(item.highDelta)}`;
+                }
+            },
+            legend: {
+                data: ['Low', 'High'],
+                top: 30
+            },
+            grid: {
+                left: '3%',
+                right: '4%',
+                bottom: '3%',
+                top: 70,
+                containLabel: true
+            },
+            xAxis: {
+                type: 'value',
+                axisLabel: { formatter: formatValue }
+            },
+            yAxis: {
+                type: 'category',
+                data: items.map(item => `${item.categoryName} · ${driverLabels[item.driver]}`),
+                axisLabel: { width: 220, overflow: 'truncate' }
+            },
+            series: [
+                {
+                    name: 'Low',
+                    type: 'bar',
+                    barGap: '-100%',
+                    data: items.map(item => item.lowDelta),
+                    itemStyle: { color: '#407EC9' }
+                },
+                {
+                    name: 'High',
+                    type: 'bar',
+                    data: items.map(item => item.highDelta),
+                    itemStyle: { color: '#EAAA00', opacity: 0.85 }
+                }
+            ]
+        };
+    }
+
+    // NEW: Overlay monthly (bars) and cumulative (lines) curves of several scenarios
+    renderComparisonChart(containerId, comparison) {
+        try {
+            const container = document.getElementById(containerId);
+            if (!container) {
+                console.error(`Container not found: ${containerId}`);
+                return;
+            }
+
+            this.renderOption(container, this.buildComparisonOption(comparison));
+        } catch (error) {
+            console.error('Comparison chart rendering error:', error);
+            showNotification('Failed to render comparison chart: ' + error.message, 'error');
+        }
+    }
+
+    buildComparisonOption(comparison) {
+        const palette = ['#1B365D', '#EAAA00', '#407EC9', '#505759', '#16A085', '#E67E22', '#8E44AD', '#C0392B'];
+        const formatK = value => '$' + (value / 1000).toFixed(0) + 'K';
+        const series = [];
+
+        comparison.scenarios.forEach((scenario, index) => {
+            const color = palette[index % palette.length];
+            series.push({
+                name: scenario.name,
+                type: 'bar',
+                data: scenario.monthly,
+                itemStyle: { color: color, opacity: 0.75 }
+            });
+            series.push({
+                name: `${scenario.name} (cumulative)`,
+                type: 'line',
+                yAxisIndex: 1,
+                data: scenario.cumulative,
+                itemStyle: { color: color },
+                lineStyle: { type: index === 0 ? 'solid' : 'dashed' },
+                smooth: true
+            });
+        });
+
+        return {
+            title: {
+                text: 'Scenario Comparison',
+                textStyle: { color: '#1B365D', fontSize: 18, fontWeight: 'bold' }
+            },
+            tooltip: {
+                trigger: 'axis',
+                axisPointer: { type: 'cross' },
+                formatter: function(params) {
+                    let result = params[0].name + '<br/>';
+                    params.forEach(param => {
+                        result += `${param.marker}${param.seriesName}: $${param.value.toLocaleString()}<br/>`;
+                    });
+                    return result;
+                }
+            },
+            legend: {
+                data: series.map(item => item.name),
+                top: 30,
+                type: 'scroll'
+            },
+            grid: {
+                left: '3%',
+                right: '4%',
+                bottom: '3%',
+                top: 70,
+                containLabel: true
+            },
+            xAxis: {
+                type: 'category',
+                data: comparison.months,
+                axisLabel: { rotate: 45 }
+            },
+            yAxis: [
+                {
+                    type: 'value',
+                    name: 'Monthly Spend',
+                    position: 'left',
+                    axisLabel: { formatter: formatK }
+                },
+                {
+                    type: 'value',
+                    name: 'Cumulative',
+                    position: 'right',
+                    axisLabel: { formatter: formatK }
+                }
+            ],
+            series: series,
+            dataZoom: [
+                {
+                    type: 'inside',
+                    start: 0,
+                    end: 100
+                }
+            ]
+        };
+    }
+
+    renderFundingChart(containerId, schedule, months) {
+        try {
+            const container = document.getElementById(containerId);
+            if (!container) {
+                console.error(`Container not found: ${containerId}`);
+                return;
+            }
+
+            this.renderOption(container, this.buildFundingOption(schedule, months));
+        } catch (error) {
+            console.error('Funding chart rendering error:', error);
+            showNotification('Failed to render funding chart: ' + error.message, 'error');
+        }
+    }
+
+    // NEW: Monthly draws stacked by funding source under the line of uses.
+    // Takes a schedule from getFundingSchedule, which reads the same scenario
+    // projections and actuals as buildChartOption. A line marks the last
+    // closed month, where uses switch from actuals to projections.
+    buildFundingOption(schedule, months) {
+        const palette = { equity: '#1B365D', loan: '#407EC9', mezzanine: '#EAAA00', grant: '#16A085' };
+        const formatK = value => '$' + (value / 1000).toFixed(0) + 'K';
+        const series = schedule.sources.map((source, index) => ({
+            name: source.name,
+            type: 'bar',
+            stack: 'funding',
+            data: schedule.draws[source.id],
+            itemStyle: { color: palette[source.type], opacity: 1 - (index % 3) * 0.2 }
+        }));
+
+        if (schedule.totalUnfunded > 0) {
+            series.push({
+                name: 'Unfunded',
+                type: 'bar',
+                stack: 'funding',
+                data: schedule.unfunded,
+                itemStyle: { color: '#C0392B' }
+            });
+        }
+        series.push({
+            name: 'Uses',
+            type: 'line',
+            data: schedule.uses,
+            itemStyle: { color: '#505759' },
+            lineStyle: { type: 'dashed' },
+            symbol: 'none',
+            markLine: schedule.actualsThrough >= 0 && schedule.actualsThrough < months.length ? {
+                silent: true,
+                symbol: 'none',
+                data: [{ xAxis: months[schedule.actualsThrough] }],
+                lineStyle: { color: '#505759' },
+                label: { formatter: 'Actuals to here' }
+            } : undefined
+        });
+
+        return {
+            title: {
+                text: 'Sources of Funds',
+                left: 'center',
+                textStyle: { color: '#1B365D', fontSize: 18, fontWeight: 600 }
+            },
+            tooltip: {
+                trigger: 'axis',
+                axisPointer: { type: 'shadow' },
+                formatter: function(params) {
+                    let result = params[0].name + '<br/>';
+                    params.filter(param => param.value).forEach(param => {
+                        result += `${param.marker}${param.seriesName}: $${param.value.toLocaleString()}<br/>`;
+                    });
+                    return result;
+                }
+            },
+            legend: {
+                data: series.map(item => item.name),
+                bottom: 10,
+                type: 'scroll'
+            },
+            grid: { left: '10%', right: '10%', bottom: '15%', top: '15%', containLabel: true },
+            xAxis: {
+                type: 'category',
+                data: months,
+                axisLabel: { rotate: 45 }
+            },
+            yAxis: {
+                type: 'value',
+                axisLabel: { formatter: formatK }
+            },
+            series: series
+        };
+    }
+
     buildChartOption(data) {
         const months = [];
         const plannedData = [];
         const actualData = [];
         const cumulativePlanned = [];
         const cumulativeActual = [];
+        const forecastData = [];
         
         let runningPlanned = 0;
         let runningActual = 0;
         
         const scenario = data.scenarios[data.currentScenario];
+        const calendar = ProjectCalendar.forProject(data.info);
+        const hasForecast = !!scenario.forecast;
         
-        for (let month = 0; month < 24; month++) {
-            const monthDate = new Date();
-            monthDate.setMonth(monthDate.getMonth() + month);
-            months.push(monthDate.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }));
+        for (let month = 0; month < calendar.monthCount; month++) {
+            months.push(calendar.formatMonth(month));
             
             let monthlyPlanned = 0;
             let monthlyActual = 0;
+            let monthlyForecast = 0;
             
             data.budgetCategories.forEach(category => {
                 const projections = scenario.projections[category.id] || {};
@@ -1537,10 +7445,12 @@ class VisualizationEngine {
                 
                 monthlyPlanned += projections[month] || 0;
                 monthlyActual += actuals[month] || 0;
+                monthlyForecast += scenario.forecast?.[category.id]?.[month] || 0;
             });
             
             plannedData.push(monthlyPlanned);
             actualData.push(monthlyActual);
+            forecastData.push(Math.round(monthlyForecast * 100) / 100);
             
             runningPlanned += monthlyPlanned;
             runningActual += monthlyActual;
@@ -1566,7 +7476,7 @@ class VisualizationEngine {
                 }
             },
             legend: {
-                data: ['Planned', 'Actual', 'Cumulative Planned', 'Cumulative Actual'],
+                data: ['Planned', 'Actual', ...(hasForecast ? ['Forecast'] : []), 'Cumulative Planned', 'Cumulative Actual'],
                 top: 30
             },
             grid: {
@@ -1615,6 +7525,14 @@ class VisualizationEngine {
                     data: actualData,
                     itemStyle: { color: '#407EC9' }
                 },
+                ...(hasForecast ? [{
+                    name: 'Forecast',
+                    type: 'line',
+                    data: forecastData,
+                    itemStyle: { color: '#774212' },
+                    lineStyle: { type: 'dashed' },
+                    symbol: 'none'
+                }] : []),
                 {
                     name: 'Cumulative Planned',
                     type: 'line',
@@ -1650,7 +7568,13 @@ class VisualizationEngine {
 window.toggleDistributionParams = function(method) {
     const paramsDiv = document.getElementById('distribution-params');
     if (paramsDiv) {
-        paramsDiv.style.display = method === 's-curve' ? 'block' : 'none';
+        paramsDiv.querySelectorAll('[data-methods]').forEach(group => {
+            group.style.display = group.dataset.methods.split(' ').includes(method) ? '' : 'none';
+        });
+    }
+    
+    if (method === 'manual' && window.app) {
+        window.app.updateManualTotal();
     }
 };
 